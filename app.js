@@ -19,6 +19,12 @@
  * - Set DEBUG to true for development console logging
  * - Modify DEBOUNCE_DELAY for search responsiveness
  * - Set DEFAULT_THEME to 'light', 'dark', or 'system' to control initial theme
+ * - Set DEMO_MODE to true (or open the app with ?demo) to show sample data
+ * - Open the app with ?owner to enable the account editor on this device
+ *   (?owner=0 turns it off again)
+ * - To keep accounts.json private, use "Encrypt for Publishing" in the
+ *   editor and publish the encrypted file; visitors enter the passphrase once
+ *   per browser session
  */
 
 // ============================================
@@ -27,22 +33,43 @@
 
 const CONFIG = {
   DATA_URL: "./accounts.json",
+  DOCUMENTS_URL: "./documents.json", // PDF letterhead, document and share templates
   DEBOUNCE_DELAY: 250,
+  REFRESH_INTERVAL: 60000, // Min ms between update checks when the tab regains focus
   DEBUG: false,
   FAVORITES_KEY: "accounts:favs",
   THEME_KEY: "accounts:theme",
   VERSION_KEY: "accounts:version",
-  QR_API: "https://api.qrserver.com/v1/create-qr-code/",
+  ID_MAP_KEY: "accounts:ids",
+  OWNER_KEY: "accounts:owner",
+  EDITS_DB_NAME: "accounts-app",
+  PASSPHRASE_KEY: "accounts:passphrase", // sessionStorage only
+  QR_MODE_KEY: "accounts:qrmode", // "text" (default) or "raast" (opt-in)
+  INVOICE_SEQ_KEY: "accounts:invoice-seq",
+  SHARE_TEMPLATE_KEY: "accounts:share-template",
+  SHARE_IMAGE_PALETTE_KEY: "accounts:share-image-palette", // "theme" or "print"
+  QR_EC_LEVEL: "M", // QR error correction: L, M, Q or H
   MAX_FAVORITES_DISPLAY: 3,
   LOGO_FALLBACK_TIMEOUT: 3000,
 
   // App Version (increment when localStorage structure changes)
-  APP_VERSION: "2.0",
+  APP_VERSION: "2.1",
 
   // Theme Configuration
   // Options: 'light', 'dark', 'system' (follows user's system preference)
   DEFAULT_THEME: "light",
   SHARE_BASE_URL: window.location.origin + window.location.pathname,
+
+  // Encrypted Vault
+  // PBKDF2 iterations used when encrypting accounts.json (decryption reads
+  // the count stored in the file)
+  VAULT_ITERATIONS: 600000,
+  VAULT_MIN_PASSPHRASE: 12,
+
+  // Demo Mode
+  // When true (or when the URL has ?demo), built-in sample accounts are shown
+  // instead of fetching DATA_URL. Never enable this on a live deployment.
+  DEMO_MODE: false,
 };
 
 // ============================================
@@ -52,17 +79,26 @@ const CONFIG = {
 const App = (() => {
   // localStorage.clear();
   // State management
+  let baseAccounts = []; // As fetched from DATA_URL, before local edits
   let allAccounts = [];
   let filteredAccounts = [];
   let favorites = [];
   let currentTheme = "light";
   let isOffline = false;
+  let dataCachedAt = null; // When the service worker cached the data being shown
+  let dataSource = { etag: null, lastModified: null, text: null, updatedAt: null };
+  let lastDataCheck = 0;
+  let isRefreshing = false;
   let currentFilters = {
     search: "",
     currency: "all",
     purpose: "all",
     favoritesOnly: false,
   };
+  let validationReport = { fatal: null, records: [] };
+  let localEdits = createEmptyEdits();
+  let isOwnerMode = false;
+  let editingAccountId = null;
 
   // DOM element cache
   const DOM = {};
@@ -80,6 +116,30 @@ const App = (() => {
     }
   }
 
+  /**
+   * Read a saved setting; null when storage is blocked (private mode,
+   * disabled cookies)
+   */
+  function readSetting(key) {
+    try {
+      return localStorage.getItem(key);
+    } catch (error) {
+      log("Failed to read setting:", key, error);
+      return null;
+    }
+  }
+
+  /**
+   * Save a setting, carrying on without it when storage is blocked
+   */
+  function saveSetting(key, value) {
+    try {
+      localStorage.setItem(key, value);
+    } catch (error) {
+      log("Failed to save setting:", key, error);
+    }
+  }
+
   /**
    * Debounce function to limit rapid function calls
    */
@@ -92,12 +152,12 @@ const App = (() => {
   }
 
   /**
-   * Sanitize HTML to prevent XSS
+   * Sanitize HTML to prevent XSS (also safe inside quoted attributes)
    */
   function sanitize(str) {
     const div = document.createElement("div");
     div.textContent = str || "";
-    return div.innerHTML;
+    return div.innerHTML.replace(/"/g, "&quot;").replace(/'/g, "&#39;");
   }
 
   /**
@@ -122,6 +182,55 @@ const App = (() => {
     return `${first} ${middle} ${last}`;
   }
 
+  /**
+   * Make a string safe to use as a download filename
+   */
+  function safeFilename(name) {
+    return (
+      String(name)
+        .replace(/[\\/:*?"<>|]+/g, "")
+        .replace(/\s+/g, "_")
+        .slice(0, 100) || "download"
+    );
+  }
+
+  /**
+   * Trigger a file download for a Blob
+   */
+  function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Give the browser a moment to start the download before revoking
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * Fast non-cryptographic 53-bit string hash (cyrb53), returned in base 36
+   */
+  function hashString(str) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+
+    for (let i = 0; i < str.length; i++) {
+      const ch = str.charCodeAt(i);
+      h1 = Math.imul(h1 ^ ch, 2654435761);
+      h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507);
+    h1 ^= Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507);
+    h2 ^= Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+  }
+
   /**
    * Get bank initials for logo fallback
    */
@@ -134,6 +243,337 @@ const App = (() => {
       .slice(0, 3);
   }
 
+  // ============================================
+  // PAKISTANI BANK REGISTRY
+  // ============================================
+
+  // SBP-assigned bank codes (positions 5-8 of a PK IBAN) with a display name,
+  // other spellings accepted in accounts.json, brand color, logo and head
+  // office SWIFT/BIC (null where the institution has none of its own).
+  // Wallet providers (wallet: true) use the holder's mobile number as acc_no.
+  // Brand colors are approximations used for placeholders and card accents.
+  const PK_BANKS = {
+    ABPA: { name: "Allied Bank", aliases: ["Allied Bank Limited", "ABL"], color: "#0b3d91", logo: "./assets/allied_bank.svg", swift: "ABPAPKKA" },
+    AIIN: { name: "Al Baraka Bank", aliases: ["Al Baraka Bank (Pakistan) Limited", "Al Baraka"], color: "#00857c", logo: null, swift: "AIINPKKA" },
+    ALFH: { name: "Bank Alfalah", aliases: ["Bank Alfalah Limited", "Alfalah"], color: "#d2232a", logo: null, swift: "ALFHPKKA" },
+    ASCM: { name: "Askari Bank", aliases: ["Askari Bank Limited", "Askari"], color: "#005baa", logo: null, swift: "ASCMPKKA" },
+    BAHL: { name: "Bank AL Habib", aliases: ["Bank AL Habib Limited", "BAHL"], color: "#007a3d", logo: null, swift: "BAHLPKKA" },
+    BKCH: { name: "Bank of China", aliases: ["Bank of China Limited"], color: "#b81c22", logo: null, swift: "BKCHPKKA" },
+    BKIP: { name: "BankIslami", aliases: ["BankIslami Pakistan Limited", "Bank Islami"], color: "#00539b", logo: null, swift: "BKIPPKKA" },
+    BPUN: { name: "The Bank of Punjab", aliases: ["Bank of Punjab", "BOP"], color: "#00529b", logo: null, swift: "BPUNPKKA" },
+    CITI: { name: "Citibank", aliases: ["Citibank N.A.", "Citi"], color: "#056dae", logo: null, swift: "CITIPKKX" },
+    DEUT: { name: "Deutsche Bank", aliases: ["Deutsche Bank AG"], color: "#0018a8", logo: null, swift: "DEUTPKKA" },
+    DUIB: { name: "Dubai Islamic Bank", aliases: ["Dubai Islamic Bank Pakistan Limited", "DIB"], color: "#00633e", logo: null, swift: "DUIBPKKA" },
+    FAYS: { name: "Faysal Bank", aliases: ["Faysal Bank Limited", "FBL"], color: "#00704a", logo: "./assets/Faysal_Bank.svg", swift: "FAYSPKKA" },
+    FWOM: { name: "First Women Bank", aliases: ["First Women Bank Limited", "FWBL"], color: "#c4177c", logo: null, swift: null },
+    HABB: { name: "HBL", aliases: ["Habib Bank Limited", "Habib Bank"], color: "#00836a", logo: "./assets/hbl.svg", swift: "HABBPKKA" },
+    ICBK: { name: "ICBC", aliases: ["Industrial and Commercial Bank of China"], color: "#c7000b", logo: null, swift: "ICBKPKKA" },
+    JCMA: { name: "JazzCash", aliases: ["Jazz Cash", "Mobilink Microfinance Bank", "MMBL"], color: "#ed2327", logo: "./assets/jazzcash.svg", swift: null, wallet: true },
+    JSBL: { name: "JS Bank", aliases: ["JS Bank Limited"], color: "#0067b1", logo: null, swift: "JSBLPKKA" },
+    KHUS: { name: "Khushhali Bank", aliases: ["Khushhali Microfinance Bank", "Khushhali"], color: "#00a651", logo: null, swift: null },
+    KHYB: { name: "The Bank of Khyber", aliases: ["Bank of Khyber", "BOK"], color: "#006f3c", logo: null, swift: "KHYBPKKA" },
+    MCIB: { name: "MCB Islamic Bank", aliases: ["MCB Islamic Bank Limited", "MCB Islamic"], color: "#00543c", logo: null, swift: null },
+    MEZN: { name: "Meezan Bank", aliases: ["Meezan Bank Limited", "Meezan"], color: "#7b2a84", logo: "./assets/meezan_bank.svg", swift: "MEZNPKKA" },
+    MPBL: { name: "Habib Metro", aliases: ["Habib Metropolitan Bank Limited", "Habib Metropolitan Bank", "HabibMetro"], color: "#006a4e", logo: null, swift: "MPBLPKKA" },
+    MUCB: { name: "MCB Bank", aliases: ["MCB Bank Limited", "MCB", "Muslim Commercial Bank"], color: "#145ba4", logo: "./assets/mcb.svg", swift: "MUCBPKKA" },
+    NAYA: { name: "NayaPay", aliases: ["Naya Pay"], color: "#5b2be0", logo: null, swift: null, wallet: true },
+    NBPA: { name: "National Bank of Pakistan", aliases: ["National Bank", "NBP"], color: "#00843d", logo: null, swift: "NBPAPKKA" },
+    SADA: { name: "SadaPay", aliases: ["Sada Pay"], color: "#f26b4f", logo: null, swift: null, wallet: true },
+    SAMB: { name: "Samba Bank", aliases: ["Samba Bank Limited", "Samba"], color: "#00a4e4", logo: null, swift: "SAMBPKKA" },
+    SAUD: { name: "Silkbank", aliases: ["Silkbank Limited", "Silk Bank"], color: "#8b1d41", logo: null, swift: "SAUDPKKA" },
+    SCBL: { name: "Standard Chartered", aliases: ["Standard Chartered Bank (Pakistan) Limited", "SCB"], color: "#0473ea", logo: null, swift: "SCBLPKKX" },
+    SIND: { name: "Sindh Bank", aliases: ["Sindh Bank Limited"], color: "#006b3f", logo: null, swift: "SINDPKKA" },
+    SONE: { name: "Soneri Bank", aliases: ["Soneri Bank Limited", "Soneri"], color: "#003f7d", logo: null, swift: "SONEPKKA" },
+    SUMB: { name: "Summit Bank", aliases: ["Summit Bank Limited"], color: "#e31e24", logo: null, swift: "SUMBPKKA" },
+    TMFB: { name: "Easypaisa", aliases: ["Easy Paisa", "Easypaisa Bank", "Telenor Microfinance Bank"], color: "#3fae49", logo: null, swift: null, wallet: true },
+    UNIL: { name: "UBL", aliases: ["United Bank Limited", "United Bank"], color: "#0054a6", logo: null, swift: "UNILPKKA" },
+    ZTBL: { name: "Zarai Taraqiati Bank", aliases: ["Zarai Taraqiati Bank Limited", "ZTBL"], color: "#0d7c3f", logo: null, swift: null },
+  };
+
+  // Words ignored when comparing bank names ("Meezan Bank Ltd." = "Meezan")
+  const BANK_NAME_NOISE = new Set(["the", "bank", "limited", "ltd", "pakistan", "plc"]);
+
+  /**
+   * Registry entry for the bank a PK IBAN belongs to, or null
+   */
+  function getBankFromIBAN(iban) {
+    const value = normalizeIBAN(iban);
+    if (!value.startsWith("PK")) return null;
+
+    const code = value.slice(4, 8);
+    return PK_BANKS[code] ? { code, ...PK_BANKS[code] } : null;
+  }
+
+  /**
+   * Reduce a bank name to its distinctive lowercase words
+   */
+  function normalizeBankName(name) {
+    return String(name || "")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, " ")
+      .split(" ")
+      .filter((word) => word && !BANK_NAME_NOISE.has(word))
+      .join(" ");
+  }
+
+  /**
+   * Check whether a declared bank name refers to a registry entry
+   */
+  function bankNameMatches(declared, bankInfo) {
+    const name = normalizeBankName(declared);
+    return [bankInfo.name, ...bankInfo.aliases].some(
+      (candidate) => normalizeBankName(candidate) === name
+    );
+  }
+
+  // ============================================
+  // MOBILE WALLET NUMBERS
+  // ============================================
+
+  // Mobile operator prefixes in use in Pakistan: 030x-034x and 0355
+  const PK_MOBILE_PREFIX = /^03(?:[0-4]\d|55)$/;
+
+  /**
+   * Local 11-digit form (03XXXXXXXXX) of a number written as a PK mobile
+   * number in any common style (+92, 0092, 92 or 0 prefix), or null
+   */
+  function toLocalMobile(number) {
+    const compact = String(number || "").replace(/[\s()-]/g, "");
+    const match = compact.match(/^(?:\+92|0092|92|0)(3\d{9})$/);
+    return match ? `0${match[1]}` : null;
+  }
+
+  /**
+   * Convert a Pakistani mobile number to +92 international format
+   */
+  function toInternationalMobile(number) {
+    const local = toLocalMobile(number);
+    return local ? `+92${local.slice(1)}` : "";
+  }
+
+  /**
+   * Group a mobile number the way it is usually written (0321-1234567)
+   */
+  function formatMobileNumber(number) {
+    const local = toLocalMobile(number);
+    return local ? `${local.slice(0, 4)}-${local.slice(4)}` : String(number || "");
+  }
+
+  /**
+   * Mask a grouped mobile number, keeping the operator prefix and last 4 digits
+   */
+  function maskMobileNumber(number) {
+    const grouped = formatMobileNumber(number);
+    return `${grouped.slice(0, 5)}•••${grouped.slice(-4)}`;
+  }
+
+  /**
+   * Validate a wallet number against PK mobile number rules.
+   * Returns { valid, error } like validateIBAN.
+   */
+  function validateWalletNumber(number) {
+    const local = toLocalMobile(number);
+
+    if (!local) {
+      return {
+        valid: false,
+        error: "Wallet numbers must be 11-digit mobile numbers (03XX-XXXXXXX)",
+      };
+    }
+
+    if (!PK_MOBILE_PREFIX.test(local.slice(0, 4))) {
+      return {
+        valid: false,
+        error: `"${local.slice(0, 4)}" is not a Pakistani mobile prefix`,
+      };
+    }
+
+    return { valid: true, error: null };
+  }
+
+  /**
+   * Whether an account is a mobile wallet (a wallet provider's IBAN, or an
+   * acc_no written as a PK mobile number)
+   */
+  function isWalletAccount(account) {
+    return Boolean(account.isWallet);
+  }
+
+  /**
+   * Account number as it should be shown and shared (grouped for wallets)
+   */
+  function formatAccountNumber(account) {
+    return account.isWallet && !account.walletError
+      ? formatMobileNumber(account.acc_no)
+      : account.acc_no;
+  }
+
+  // ============================================
+  // CURRENCIES (ISO 4217)
+  // ============================================
+
+  // Active ISO 4217 currency codes
+  const ISO_4217_CODES = new Set(
+    `AED AFN ALL AMD ANG AOA ARS AUD AWG AZN BAM BBD BDT BGN BHD BIF BMD BND
+    BOB BRL BSD BTN BWP BYN BZD CAD CDF CHF CLP CNY COP CRC CUP CVE CZK DJF
+    DKK DOP DZD EGP ERN ETB EUR FJD FKP GBP GEL GHS GIP GMD GNF GTQ GYD HKD
+    HNL HTG HUF IDR ILS INR IQD IRR ISK JMD JOD JPY KES KGS KHR KMF KPW KRW
+    KWD KYD KZT LAK LBP LKR LRD LSL LYD MAD MDL MGA MKD MMK MNT MOP MRU MUR
+    MVR MWK MXN MYR MZN NAD NGN NIO NOK NPR NZD OMR PAB PEN PGK PHP PKR PLN
+    PYG QAR RON RSD RUB RWF SAR SBD SCR SDG SEK SGD SHP SLE SOS SRD SSP STN
+    SVC SYP SZL THB TJS TMT TND TOP TRY TTD TWD TZS UAH UGX USD UYU UZS VES
+    VND VUV WST XAF XCD XCG XOF XPF YER ZAR ZMW ZWG ZWL`.split(/\s+/)
+  );
+
+  /**
+   * Check a currency code against ISO 4217; returns an error message or null
+   */
+  function validateCurrency(code) {
+    if (ISO_4217_CODES.has(code)) return null;
+    return /^[A-Z]{3}$/.test(code)
+      ? `"${code}" is not an ISO 4217 currency code`
+      : `Currency must be a 3-letter ISO 4217 code (got "${code}")`;
+  }
+
+  /**
+   * Short display symbol for a currency ("Rs", "$", "€"), or the code itself
+   */
+  function getCurrencySymbol(code) {
+    try {
+      const parts = new Intl.NumberFormat("en", {
+        style: "currency",
+        currency: code,
+        currencyDisplay: "narrowSymbol",
+      }).formatToParts(0);
+      const symbol = parts.find((part) => part.type === "currency");
+      return symbol ? symbol.value : code;
+    } catch (error) {
+      // Malformed codes make Intl throw a RangeError
+      return code;
+    }
+  }
+
+  /**
+   * Format an amount in a currency ("Rs 15,000.00"), or "15,000 XYZ" when
+   * Intl doesn't accept the code
+   */
+  function formatAmount(amount, code) {
+    try {
+      return new Intl.NumberFormat("en", {
+        style: "currency",
+        currency: code,
+        currencyDisplay: "narrowSymbol",
+      }).format(Number(amount));
+    } catch (error) {
+      return `${Number(amount).toLocaleString("en")} ${code}`;
+    }
+  }
+
+  // ============================================
+  // IBAN VALIDATION (ISO 13616)
+  // ============================================
+
+  // Expected IBAN length per country code (SWIFT IBAN registry)
+  const IBAN_LENGTHS = {
+    AD: 24, AE: 23, AL: 28, AT: 20, AZ: 28, BA: 20, BE: 16, BG: 22,
+    BH: 22, BI: 27, BR: 29, BY: 28, CH: 21, CR: 22, CY: 28, CZ: 24,
+    DE: 22, DJ: 27, DK: 18, DO: 28, EE: 20, EG: 29, ES: 24, FI: 18,
+    FK: 18, FO: 18, FR: 27, GB: 22, GE: 22, GI: 23, GL: 18, GR: 27,
+    GT: 28, HR: 21, HU: 28, IE: 22, IL: 23, IQ: 23, IS: 26, IT: 27,
+    JO: 30, KW: 30, KZ: 20, LB: 28, LC: 32, LI: 21, LT: 20, LU: 20,
+    LV: 21, LY: 25, MC: 27, MD: 24, ME: 22, MK: 19, MN: 20, MR: 27,
+    MT: 31, MU: 30, NI: 28, NL: 18, NO: 15, OM: 23, PK: 24, PL: 28,
+    PS: 29, PT: 25, QA: 29, RO: 24, RS: 22, RU: 33, SA: 24, SC: 31,
+    SD: 18, SE: 24, SI: 19, SK: 24, SM: 27, SO: 23, ST: 25, SV: 28,
+    TL: 23, TN: 24, TR: 26, UA: 29, VA: 22, VG: 24, XK: 20, YE: 30,
+  };
+
+
+  /**
+   * Check the shape of a SWIFT/BIC: bank (4 letters), country (2 letters),
+   * location (2) and an optional 3-character branch
+   * Returns an error message, or null when the code is well formed
+   */
+  function validateSwift(swift) {
+    if (/^[A-Z]{4}[A-Z]{2}[A-Z0-9]{2}(?:[A-Z0-9]{3})?$/.test(swift)) return null;
+    return "SWIFT/BIC must be 8 or 11 letters and digits (e.g. HABBPKKA)";
+  }
+
+  /**
+   * Check that a Raast ID is a Pakistani mobile number
+   */
+  function validateRaastId(raastId) {
+    return toLocalMobile(raastId)
+      ? null
+      : "Raast ID must be the mobile number registered with Raast (03XX-XXXXXXX)";
+  }
+
+  /**
+   * Strip spaces and uppercase an IBAN so it can be validated and compared
+   */
+  function normalizeIBAN(iban) {
+    return String(iban || "")
+      .replace(/\s+/g, "")
+      .toUpperCase();
+  }
+
+  /**
+   * Compute the ISO 7064 mod-97 remainder of an IBAN
+   * (country code and check digits are moved to the end first)
+   */
+  function ibanMod97(iban) {
+    const rearranged = iban.slice(4) + iban.slice(0, 4);
+    let remainder = 0;
+
+    for (const char of rearranged) {
+      const value = /[A-Z]/.test(char) ? char.charCodeAt(0) - 55 : Number(char);
+      remainder = Number(`${remainder}${value}`) % 97;
+    }
+
+    return remainder;
+  }
+
+  /**
+   * Validate an IBAN: format, country length, mod-97 checksum and,
+   * for Pakistani IBANs, the 4-letter bank code. Countries missing from
+   * IBAN_LENGTHS (newer registry entries) skip the length check only.
+   * Returns { valid, error } where error is a human readable reason.
+   */
+  function validateIBAN(iban) {
+    const value = normalizeIBAN(iban);
+
+    if (!/^[A-Z]{2}\d{2}[A-Z0-9]+$/.test(value)) {
+      return { valid: false, error: "IBAN has an invalid format" };
+    }
+
+    const country = value.slice(0, 2);
+    const expectedLength = IBAN_LENGTHS[country];
+
+    if (value.length > 34) {
+      return { valid: false, error: "IBANs are at most 34 characters" };
+    }
+
+    if (expectedLength && value.length !== expectedLength) {
+      return {
+        valid: false,
+        error: `${country} IBANs must be ${expectedLength} characters (got ${value.length})`,
+      };
+    }
+
+    if (ibanMod97(value) !== 1) {
+      return { valid: false, error: "IBAN checksum does not match" };
+    }
+
+    if (country === "PK") {
+      const bankCode = value.slice(4, 8);
+      if (!/^[A-Z]{4}$/.test(bankCode) || !PK_BANKS[bankCode]) {
+        return { valid: false, error: `Unknown bank code "${bankCode}"` };
+      }
+    }
+
+    return { valid: true, error: null };
+  }
+
   // ============================================
   // VERSION MIGRATION SYSTEM
   // ============================================
@@ -230,6 +670,30 @@ const App = (() => {
         });
       }
 
+      if (storedVersion < "2.1") {
+        log("Migrating to v2.1 (content-derived account ids)...");
+
+        // Accounts without an id used to get a random one on every load,
+        // so favorites saved under those ids ("0.123...") can never match again
+        try {
+          const storedFavorites = JSON.parse(
+            localStorage.getItem(CONFIG.FAVORITES_KEY) || "[]"
+          );
+          if (Array.isArray(storedFavorites)) {
+            const kept = storedFavorites.filter(
+              (id) => !/^0\.\d+$/.test(String(id))
+            );
+            if (kept.length !== storedFavorites.length) {
+              log("Dropping", storedFavorites.length - kept.length, "stale favorites");
+              localStorage.setItem(CONFIG.FAVORITES_KEY, JSON.stringify(kept));
+            }
+          }
+        } catch (error) {
+          log("Invalid favorites detected, clearing:", error);
+          localStorage.removeItem(CONFIG.FAVORITES_KEY);
+        }
+      }
+
       // Update version marker
       localStorage.setItem(CONFIG.VERSION_KEY, currentVersion);
       log("Migration completed successfully to version", currentVersion);
@@ -249,7 +713,11 @@ const App = (() => {
       };
 
       // Clear potentially corrupted data
-      const keysToPreserve = [CONFIG.THEME_KEY, CONFIG.FAVORITES_KEY];
+      const keysToPreserve = [
+        CONFIG.THEME_KEY,
+        CONFIG.FAVORITES_KEY,
+        CONFIG.ID_MAP_KEY,
+      ];
       Object.keys(localStorage).forEach((key) => {
         if (key.startsWith("accounts:") && !keysToPreserve.includes(key)) {
           localStorage.removeItem(key);
@@ -278,6 +746,45 @@ const App = (() => {
     }
   }
 
+  /**
+   * Remap favorites when account ids in the data change
+   * Each load stores a fingerprint -> id map; if an account keeps its
+   * contents but gets a new id (e.g. an "id" was added to accounts.json),
+   * favorites saved under the old id are moved to the new one.
+   */
+  function remapFavoriteIds(accounts) {
+    // Keep the previous map if nothing loaded (e.g. a network error)
+    if (accounts.length === 0) return;
+
+    try {
+      const previousMap = JSON.parse(
+        localStorage.getItem(CONFIG.ID_MAP_KEY) || "{}"
+      );
+      const currentMap = {};
+      accounts.forEach((account) => {
+        currentMap[account.fingerprint] = account.id;
+      });
+
+      const renamed = {};
+      Object.entries(previousMap).forEach(([fingerprint, oldId]) => {
+        const newId = currentMap[fingerprint];
+        if (newId && newId !== oldId) {
+          renamed[oldId] = newId;
+        }
+      });
+
+      if (Object.keys(renamed).length > 0) {
+        log("Remapping favorite ids:", renamed);
+        favorites = [...new Set(favorites.map((id) => renamed[id] || id))];
+        saveFavorites();
+      }
+
+      localStorage.setItem(CONFIG.ID_MAP_KEY, JSON.stringify(currentMap));
+    } catch (error) {
+      log("Failed to remap favorite ids:", error);
+    }
+  }
+
   // ============================================
   // THEME MANAGEMENT
   // ============================================
@@ -364,6 +871,7 @@ const App = (() => {
   function setupOfflineDetection() {
     function updateOnlineStatus() {
       isOffline = !navigator.onLine;
+      renderCacheStatus();
 
       let indicator = document.querySelector(".offline-indicator");
 
@@ -388,1085 +896,6322 @@ const App = (() => {
     updateOnlineStatus();
   }
 
+  // ============================================
+  // SERVICE WORKER & CACHED DATA
+  // ============================================
+
+  /**
+   * Register sw.js so the app and accounts.json work offline
+   */
+  function registerServiceWorker() {
+    if (!("serviceWorker" in navigator) || location.protocol === "file:") {
+      return;
+    }
+
+    navigator.serviceWorker.addEventListener("message", handleServiceWorkerMessage);
+    navigator.serviceWorker
+      .register("./sw.js")
+      .then((registration) => log("Service worker registered:", registration.scope))
+      .catch((error) => log("Service worker registration failed:", error));
+  }
+
+  /**
+   * React to the service worker revalidating accounts.json in the background
+   */
+  async function handleServiceWorkerMessage(event) {
+    const message = event.data || {};
+    if (message.type !== "data-revalidated") return;
+
+    if (message.changed) {
+      // A check already under way reads the new copy from the network itself
+      log("Newer accounts.json available, reloading");
+      await runExclusiveRefresh(() => reloadData());
+    } else {
+      // The cached copy was just confirmed to be current
+      dataCachedAt = null;
+      renderCacheStatus();
+    }
+  }
+
+  /**
+   * Describe how long ago a timestamp was ("3 hours ago")
+   */
+  function formatAge(timestamp) {
+    const minutes = Math.round((Date.now() - timestamp) / 60000);
+    const rtf = new Intl.RelativeTimeFormat("en", { numeric: "auto" });
+
+    if (minutes < 60) return rtf.format(-minutes, "minute");
+    const hours = Math.round(minutes / 60);
+    if (hours < 48) return rtf.format(-hours, "hour");
+    return rtf.format(-Math.round(hours / 24), "day");
+  }
+
+  /**
+   * Show or hide the notice that cached account data is being shown
+   */
+  function renderCacheStatus() {
+    const banner = DOM.cacheStatus;
+    if (!banner) return;
+
+    if (!dataCachedAt) {
+      banner.hidden = true;
+      return;
+    }
+
+    const cachedDate = new Date(dataCachedAt);
+    banner.innerHTML = `
+      Showing account details saved
+      <time datetime="${cachedDate.toISOString()}" title="${sanitize(cachedDate.toLocaleString())}">${formatAge(dataCachedAt)}</time>${isOffline ? " while you are offline" : ""}.
+      They may have changed since.
+    `;
+    banner.hidden = false;
+  }
+
   // ============================================
   // DATA LOADING & PARSING
   // ============================================
 
   /**
    * Load accounts data from JSON file
-   * Handles errors gracefully and provides fallback
+   * Invalid records are skipped and reported in the error panel;
+   * sample data is only used in demo mode. Pass a response that was already
+   * fetched (see refreshData) to skip the request. With keepCurrent, a
+   * failed load leaves the accounts on screen alone and returns null.
    */
-  async function loadData(url = CONFIG.DATA_URL) {
-    try {
-      const response = await fetch(url);
+  async function loadData(
+    url = CONFIG.DATA_URL,
+    prefetched = null,
+    { keepCurrent = false } = {}
+  ) {
+    // Built up locally and only swapped in once the load has succeeded
+    const report = { fatal: null, records: [] };
+    const source = { etag: null, lastModified: null, text: null, updatedAt: null };
+    let cachedAt = null;
+    let accounts;
+    lastDataCheck = Date.now();
+
+    if (isDemoMode()) {
+      log("Demo mode: using sample data");
+      accounts = parseAccounts(getSampleData(), report);
+      showToast("Demo mode: showing sample accounts", "warning");
+    } else {
+      try {
+        const response = prefetched || (await fetch(url));
 
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        // Set by sw.js when the response comes from its cache
+        cachedAt = Number(response.headers.get("X-Cached-At")) || null;
+
+        const text = await response.text();
+        let data;
+        try {
+          data = JSON.parse(text);
+        } catch (parseError) {
+          throw new Error(
+            `accounts.json is not valid JSON (${parseError.message})`
+          );
+        }
 
-      const data = await response.json();
+        source.etag = response.headers.get("ETag");
+        source.lastModified = response.headers.get("Last-Modified");
+        source.text = text;
+
+        if (isEncryptedVault(data)) {
+          log("Encrypted accounts file, asking for passphrase");
+          data = await unlockVault(data);
+        }
+
+        const { records, updatedAt } = unwrapAccountsData(data);
+        if (!Array.isArray(records)) {
+          throw new Error("Invalid data format: expected an array");
+        }
+
+        // Prefer the date the owner wrote into the file over the server's
+        source.updatedAt = updatedAt || parseHttpDate(source.lastModified);
+
+        accounts = parseAccounts(records, report);
+        log("Loaded", accounts.length, "accounts");
+
+        if (report.records.length > 0) {
+          const skipped = report.records.length;
+          showToast(
+            `${skipped} record${skipped > 1 ? "s" : ""} skipped due to errors`,
+            "warning"
+          );
+        }
+      } catch (error) {
+        log("Data loading error:", error);
+        if (keepCurrent) {
+          showToast("Could not load the updated account details", "error");
+          return null;
+        }
+        showToast("Failed to load accounts", "error");
 
-      if (!Array.isArray(data)) {
-        throw new Error("Invalid data format: expected an array");
+        report.fatal = error.message;
+        accounts = [];
       }
+    }
 
-      allAccounts = data.map(normalizeAccount);
-      log("Loaded", allAccounts.length, "accounts");
+    validationReport = report;
+    dataSource = source;
+    dataCachedAt = cachedAt;
+    baseAccounts = accounts;
 
-      return allAccounts;
-    } catch (error) {
-      log("Data loading error:", error);
-      showToast("Failed to load accounts. Using sample data.", "warning");
+    // Layer the owner's local edits (IndexedDB) on top of the fetched data
+    allAccounts = mergeLocalEdits(baseAccounts);
+
+    const invalidCount = allAccounts.filter((acc) => acc.ibanError).length;
+    if (invalidCount > 0) {
+      log("Accounts with invalid IBANs:", invalidCount);
+      showToast(
+        `${invalidCount} account${invalidCount > 1 ? "s have" : " has"} an invalid IBAN`,
+        "warning"
+      );
+    }
 
-      allAccounts = getSampleData().map(normalizeAccount);
-      return allAccounts;
+    const mismatchCount = allAccounts.filter((acc) => acc.bankWarning).length;
+    if (mismatchCount > 0) {
+      log("Accounts whose bank does not match the IBAN:", mismatchCount);
+      showToast(
+        `${mismatchCount} account${mismatchCount > 1 ? "s name a bank" : " names a bank"} that doesn't match the IBAN`,
+        "warning"
+      );
     }
+
+    renderValidationReport();
+    renderCacheStatus();
+    renderLastUpdated();
+    return allAccounts;
   }
 
   /**
-   * Normalize account object to consistent structure
+   * Split the optional metadata wrapper from the account records
+   * Accepts a plain array or { "updated_at": "...", "accounts": [...] }
    */
-  function normalizeAccount(raw) {
+  function unwrapAccountsData(data) {
+    const isWrapper =
+      data !== null &&
+      typeof data === "object" &&
+      !Array.isArray(data) &&
+      Array.isArray(data.accounts);
+    if (!isWrapper) {
+      return { records: data, updatedAt: null };
+    }
+
+    const updatedAt = new Date(data.updated_at);
+    if (data.updated_at !== undefined && isNaN(updatedAt)) {
+      log("Ignoring unreadable updated_at:", data.updated_at);
+    }
     return {
-      id: raw.id || raw.ID || String(Math.random()),
-      bank: raw.Bank || raw.bank || "Unknown Bank",
-      title: raw.Title || raw.title || "Account",
-      acc_no: raw.acc_no || raw.acct_no || raw.account_number || "",
-      iban: raw.iban || raw.IBAN || "",
-      currency: raw.currency || raw.Currency || "PKR",
-      purpose: raw.purpose || raw.Purpose || "General",
-      note: raw.note || raw.Note || "",
-      logo: raw.logo || null,
+      records: data.accounts,
+      updatedAt: isNaN(updatedAt) ? null : updatedAt,
     };
   }
 
   /**
-   * Sample fallback data if fetch fails
+   * Parse a Last-Modified header, or null when missing or malformed
    */
-  function getSampleData() {
-    return [
-      {
-        "Bank": "Faysal Bank",
-        "Title": "Al-Rahman Trading Co.",
-        "acc_no": "4587123900456712",
-        "iban": "PK36FAYS0045871239004567",
-        "id": "1",
-        "currency": "PKR",
-        "purpose": "Business",
-        "logo": "./assets/Faysal_Bank.svg"
-      },
-      {
-        "Bank": "Allied Bank",
-        "Title": "Bilal & Sons Electronics",
-        "acc_no": "7890123456789012",
-        "iban": "PK74ABPA0078901234567890",
-        "id": "2",
-        "currency": "PKR",
-        "purpose": "Business",
-        "logo": "./assets/allied_bank.svg"
-      },
-      {
-        "Bank": "JazzCash",
-        "Title": "Ayesha Fatima",
-        "acc_no": "03211234567",
-        "iban": "PK15JCMA0412900321123456",
-        "id": "3",
-        "currency": "PKR",
-        "purpose": "Mobile Wallet",
-        "logo": "./assets/jazzcash.svg"
-      },
-    ];
+  function parseHttpDate(value) {
+    const date = value ? new Date(value) : null;
+    return date && !isNaN(date) ? date : null;
   }
 
-  // ============================================
-  // FAVORITES MANAGEMENT
-  // ============================================
+  /**
+   * Check accounts.json for changes with a conditional request and
+   * re-render only when it changed
+   * Manual checks (the refresh button) also report "no changes"
+   */
+  async function refreshData({ manual = false } = {}) {
+    if (isDemoMode() || isRefreshing) return;
+    if (isOffline) {
+      if (manual) showToast("You are offline. Try again when connected.", "warning");
+      return;
+    }
+
+    lastDataCheck = Date.now();
+    await runExclusiveRefresh(() => checkForUpdates(manual));
+  }
 
   /**
-   * Load favorites from localStorage
+   * Fetch accounts.json past the caches and reload it when it changed
    */
-  function loadFavorites() {
+  async function checkForUpdates(manual) {
     try {
-      const stored = localStorage.getItem(CONFIG.FAVORITES_KEY);
-      favorites = stored ? JSON.parse(stored) : [];
+      const headers = {};
+      if (dataSource.etag) headers["If-None-Match"] = dataSource.etag;
+      if (dataSource.lastModified) {
+        headers["If-Modified-Since"] = dataSource.lastModified;
+      }
+
+      const response = await fetch(CONFIG.DATA_URL, { cache: "no-cache", headers });
+      const unchanged =
+        response.status === 304 ||
+        (response.ok && (await response.clone().text()) === dataSource.text);
+
+      if (unchanged) {
+        log("accounts.json unchanged");
+        // What is shown was just confirmed against the server
+        dataCachedAt = null;
+        renderCacheStatus();
+        if (manual) showToast("Account details are up to date", "success");
+        return;
+      }
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+
+      log("accounts.json changed, reloading");
+      await reloadData(response);
     } catch (error) {
-      log("Failed to load favorites:", error);
-      favorites = [];
+      log("Refresh error:", error);
+      if (manual) showToast("Could not check for updates", "error");
     }
   }
 
   /**
-   * Save favorites to localStorage
+   * Run an update check or reload unless one is already running, so two
+   * loads never race to replace the accounts
    */
-  function saveFavorites() {
+  async function runExclusiveRefresh(task) {
+    if (isRefreshing) return;
+    isRefreshing = true;
+    if (DOM.refreshDataBtn) DOM.refreshDataBtn.disabled = true;
+
     try {
-      localStorage.setItem(CONFIG.FAVORITES_KEY, JSON.stringify(favorites));
-    } catch (error) {
-      log("Failed to save favorites:", error);
+      await task();
+    } finally {
+      isRefreshing = false;
+      if (DOM.refreshDataBtn) DOM.refreshDataBtn.disabled = false;
     }
   }
 
   /**
-   * Toggle favorite status for an account
+   * Load changed data into the running app and tell the user
+   * (a failed load keeps the accounts already shown)
    */
-  function toggleFavorite(accountId) {
-    const index = favorites.indexOf(accountId);
+  async function reloadData(prefetched = null) {
+    const accounts = await loadData(CONFIG.DATA_URL, prefetched, {
+      keepCurrent: true,
+    });
+    if (!accounts) return;
 
-    if (index > -1) {
-      favorites.splice(index, 1);
-      showToast("Removed from favorites", "success");
-    } else {
-      favorites.push(accountId);
-      showToast("Added to favorites", "success");
-    }
+    remapFavoriteIds(allAccounts);
+    refreshAccounts();
+    showToast("Account details were updated", "success");
+  }
 
-    saveFavorites();
-    updateFavoriteButton(accountId);
-    renderFavoritesStrip();
+  /**
+   * Check for new data when the tab becomes visible again
+   */
+  function setupDataRefresh() {
+    document.addEventListener("visibilitychange", () => {
+      if (
+        document.visibilityState === "visible" &&
+        Date.now() - lastDataCheck >= CONFIG.REFRESH_INTERVAL
+      ) {
+        refreshData();
+      }
+    });
 
-    // Re-apply filters if favorites-only is active
-    if (currentFilters.favoritesOnly) {
-      applyFilters();
+    if (DOM.refreshDataBtn) {
+      DOM.refreshDataBtn.addEventListener("click", () =>
+        refreshData({ manual: true })
+      );
     }
   }
 
   /**
-   * Check if account is favorited
+   * Show when the account data was last changed, as far as we know
    */
-  function isFavorite(accountId) {
-    return favorites.includes(accountId);
+  function renderLastUpdated() {
+    const element = DOM.lastUpdatedDate;
+    if (!element) return;
+
+    const updatedAt = dataSource.updatedAt;
+    if (updatedAt) {
+      element.textContent = updatedAt.toLocaleDateString();
+      element.setAttribute("datetime", updatedAt.toISOString());
+      element.title = updatedAt.toLocaleString();
+    } else {
+      element.textContent = "Unknown";
+      element.removeAttribute("datetime");
+      element.title = "accounts.json has no updated_at date";
+    }
   }
-
   /**
-   * Update favorite button state for a specific account
+   * Validate raw records, collect per-record errors in the report
+   * and return the normalized accounts that passed
    */
-  function updateFavoriteButton(accountId) {
-    const buttons = document.querySelectorAll(
-      `[data-account-id="${accountId}"] .favorite-btn`
-    );
-    buttons.forEach((button) => {
-      const isFav = isFavorite(accountId);
-      button.setAttribute("aria-pressed", isFav);
-
-      const icon = button.querySelector(".icon");
-      if (icon) {
-        if (isFav) {
-          icon.style.fill = "#ffc107";
-        } else {
-          icon.style.fill = "none";
-        }
+  function parseAccounts(records, report = validationReport) {
+    const seenIds = new Set();
+    const accounts = [];
+
+    records.forEach((raw, index) => {
+      const errors = validateAccountRecord(raw, seenIds);
+
+      if (errors.length > 0) {
+        report.records.push({
+          index,
+          label: describeRecord(raw, index),
+          errors,
+        });
+        return;
       }
+
+      accounts.push(normalizeAccount(raw));
     });
+
+    return accounts;
+  }
+
+  /**
+   * Whether sample data should be shown instead of accounts.json
+   * (CONFIG.DEMO_MODE or a ?demo URL parameter)
+   */
+  function isDemoMode() {
+    return (
+      CONFIG.DEMO_MODE ||
+      new URLSearchParams(window.location.search).has("demo")
+    );
   }
 
   // ============================================
-  // BANK LOGO HANDLING
+  // SCHEMA VALIDATION
   // ============================================
 
+  // Canonical account fields with the JSON keys accepted for each
+  const ACCOUNT_SCHEMA = {
+    id: { keys: ["id", "ID"], types: ["string", "number"], label: "ID" },
+    bank: {
+      keys: ["Bank", "bank"],
+      types: ["string"],
+      required: true,
+      label: "Bank",
+    },
+    title: {
+      keys: ["Title", "title"],
+      types: ["string"],
+      required: true,
+      label: "Account Title",
+    },
+    acc_no: {
+      keys: ["acc_no", "acct_no", "account_number"],
+      types: ["string"],
+      label: "Account Number",
+    },
+    iban: { keys: ["iban", "IBAN"], types: ["string"], label: "IBAN" },
+    swift: {
+      keys: ["swift", "SWIFT", "bic", "BIC", "swift_code"],
+      types: ["string"],
+      label: "SWIFT/BIC",
+    },
+    branch_code: {
+      keys: ["branch_code", "branchCode"],
+      types: ["string", "number"],
+      label: "Branch Code",
+    },
+    branch_address: {
+      keys: ["branch_address", "branchAddress", "branch"],
+      types: ["string"],
+      label: "Branch Address",
+      multiline: true,
+    },
+    raast_id: {
+      keys: ["raast_id", "raastId", "raast"],
+      types: ["string"],
+      label: "Raast ID",
+    },
+    currency: {
+      keys: ["currency", "Currency"],
+      types: ["string"],
+      label: "Currency",
+    },
+    purpose: {
+      keys: ["purpose", "Purpose"],
+      types: ["string"],
+      label: "Purpose",
+    },
+    note: {
+      keys: ["note", "Note"],
+      types: ["string"],
+      label: "Note",
+      multiline: true,
+    },
+    logo: { keys: ["logo"], types: ["string"], label: "Logo Path" },
+  };
+
   /**
-   * Create bank logo element with fallback
+   * Read a canonical field from a raw record, trying each known alias
    */
-  function createBankLogo(account) {
-    const container = document.createElement("div");
-    container.className = "bank-logo-area";
+  function getField(raw, field) {
+    const key = ACCOUNT_SCHEMA[field].keys.find(
+      (k) => raw[k] !== undefined && raw[k] !== null && raw[k] !== ""
+    );
+    return key ? raw[key] : undefined;
+  }
 
-    if (account.logo) {
-      const img = document.createElement("img");
-      img.className = "bank-logo";
-      img.alt = `${account.bank} logo`;
-      img.src = account.logo;
+  /**
+   * Check a raw record against ACCOUNT_SCHEMA
+   * Returns a list of error messages (empty when the record is valid)
+   */
+  function validateAccountRecord(raw, seenIds) {
+    if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+      return ["Record must be an object"];
+    }
 
-      // Fallback to placeholder if image fails to load
-      img.addEventListener("error", () => {
-        container.innerHTML = "";
-        container.appendChild(createLogoPlaceholder(account.bank));
-      });
+    const errors = [];
 
-      // Timeout fallback
-      setTimeout(() => {
-        if (!img.complete || img.naturalWidth === 0) {
-          container.innerHTML = "";
-          container.appendChild(createLogoPlaceholder(account.bank));
+    Object.entries(ACCOUNT_SCHEMA).forEach(([field, rule]) => {
+      const presentKeys = rule.keys.filter(
+        (key) => raw[key] !== undefined && raw[key] !== null
+      );
+
+      presentKeys.forEach((key) => {
+        if (!rule.types.includes(typeof raw[key])) {
+          errors.push(`"${key}" must be a ${rule.types.join(" or ")}`);
         }
-      }, CONFIG.LOGO_FALLBACK_TIMEOUT);
+      });
 
-      container.appendChild(img);
+      const distinctValues = new Set(presentKeys.map((key) => String(raw[key])));
+      if (distinctValues.size > 1) {
+        errors.push(`Conflicting values for ${presentKeys.join(" / ")}`);
+      }
+
+      const value = getField(raw, field);
+      const isMissing = value === undefined || String(value).trim() === "";
+      // The bank name may be left out when the IBAN identifies the bank
+      const isImplied = field === "bank" && getBankFromIBAN(getField(raw, "iban"));
+      if (rule.required && isMissing && !isImplied) {
+        errors.push(`Missing required field "${rule.keys[0]}"`);
+      }
+    });
+
+    if (!getField(raw, "acc_no") && !getField(raw, "iban")) {
+      errors.push('Needs an account number ("acc_no") or an "iban"');
+    }
+
+    const id = getField(raw, "id");
+    const effectiveId = id !== undefined ? String(id) : getAccountFingerprint(raw);
+    if (seenIds.has(effectiveId)) {
+      errors.push(
+        id !== undefined
+          ? `Duplicate id "${id}"`
+          : "Duplicate account (same bank and number as an earlier record)"
+      );
     } else {
-      container.appendChild(createLogoPlaceholder(account.bank));
+      seenIds.add(effectiveId);
     }
 
-    return container;
+    return errors;
   }
 
   /**
-   * Create logo placeholder with bank initials
+   * Stable content-derived key for an account: a hash of the bank name
+   * and the IBAN (or account number when there is no IBAN).
+   * Used as the id when a record has none, so favorites and share links
+   * survive reloads.
    */
-  function createLogoPlaceholder(bankName) {
-    const placeholder = document.createElement("div");
-    placeholder.className = "bank-logo-placeholder";
-    placeholder.textContent = getBankInitials(bankName);
-    placeholder.setAttribute("aria-label", `${bankName} logo placeholder`);
-    return placeholder;
-  }
+  function getAccountFingerprint(raw) {
+    const bank = String(getField(raw, "bank") || "").trim().toLowerCase();
+    const number =
+      normalizeIBAN(getField(raw, "iban")) ||
+      String(getField(raw, "acc_no") || "").replace(/[\s-]/g, "");
 
-  // ============================================
-  // VISIBILITY TOGGLE (Eye Button)
-  // ============================================
+    return `acc-${hashString(`${bank}|${number}`)}`;
+  }
 
   /**
-   * Toggle visibility of account number or IBAN
+   * Short human readable label for a raw record in the error report
    */
-  function toggleVisibility(button, type) {
-    const detailRow = button.closest(".detail-row");
-    if (!detailRow) return;
-
-    const isVisible = button.getAttribute("data-visible") === "true";
-    const maskedElement = detailRow.querySelector(`.${type}-display`);
-    const fullElement = detailRow.querySelector(`.${type}-full`);
-
-    if (isVisible) {
-      // Hide full, show masked
-      maskedElement.style.display = "inline";
-      fullElement.style.display = "none";
-      button.setAttribute("data-visible", "false");
-      button.setAttribute("aria-label", `Show full ${type.replace("-", " ")}`);
-    } else {
-      // Show full, hide masked
-      maskedElement.style.display = "none";
-      fullElement.style.display = "inline";
-      button.setAttribute("data-visible", "true");
-      button.setAttribute("aria-label", `Hide full ${type.replace("-", " ")}`);
-    }
+  function describeRecord(raw, index) {
+    const label = `Record ${index + 1}`;
+    if (!raw || typeof raw !== "object") return label;
+
+    const name = [raw.Bank || raw.bank, raw.Title || raw.title]
+      .filter((part) => typeof part === "string" && part)
+      .join(" - ");
+    return name ? `${label} (${name})` : label;
   }
 
-  // ============================================
-  // RENDERING FUNCTIONS
-  // ============================================
-
   /**
-   * Render all accounts in the main list
+   * Show the validation report in the error panel
    */
-  function renderAccounts(accounts = filteredAccounts) {
-    const listContainer = DOM.list;
-
-    if (!listContainer) {
-      log("Error: List container not found");
-      return;
-    }
+  function renderValidationReport() {
+    const panel = DOM.dataErrors;
+    if (!panel) return;
 
-    // Clear existing content
-    listContainer.innerHTML = "";
+    const { fatal, records } = validationReport;
 
-    // Show empty state if no accounts
-    if (accounts.length === 0) {
-      listContainer.innerHTML =
-        '<li class="loading-placeholder">No accounts found</li>';
+    if (!fatal && records.length === 0) {
+      panel.hidden = true;
       return;
     }
 
-    // Use document fragment for better performance
-    const fragment = document.createDocumentFragment();
-
-    accounts.forEach((account) => {
-      const card = createAccountCard(account);
-      fragment.appendChild(card);
-    });
-
-    listContainer.appendChild(fragment);
-    log("Rendered", accounts.length, "accounts");
-
-    // Handle share parameter if present
-    handleShareParameter();
+    DOM.dataErrorsSummary.textContent = fatal
+      ? `Account data could not be loaded: ${fatal}`
+      : `${records.length} record${
+          records.length > 1 ? "s were" : " was"
+        } skipped. The remaining accounts loaded normally.`;
+
+    DOM.dataErrorsList.innerHTML = records
+      .map(
+        (record) => `
+        <li>
+          <strong>${sanitize(record.label)}</strong>
+          <ul>${record.errors.map((err) => `<li>${sanitize(err)}</li>`).join("")}</ul>
+        </li>
+      `
+      )
+      .join("");
+
+    panel.hidden = false;
   }
 
   /**
-   * Create a single account card element
+   * Normalize account object to consistent structure
    */
-  function createAccountCard(account) {
-    const li = document.createElement("li");
-    li.setAttribute("role", "listitem");
-    li.setAttribute("data-account-id", account.id);
-
-    const article = document.createElement("article");
-    article.className = "account-card";
+  function normalizeAccount(raw) {
+    const iban = normalizeIBAN(getField(raw, "iban"));
+    const id = getField(raw, "id");
+    const fingerprint = getAccountFingerprint(raw);
+    const declaredBank = getField(raw, "bank");
+    const bankInfo = getBankFromIBAN(iban);
+    const accNo = getField(raw, "acc_no") || "";
+    const currency = String(getField(raw, "currency") || "PKR")
+      .trim()
+      .toUpperCase();
+    const swift = String(getField(raw, "swift") || "")
+      .replace(/\s+/g, "")
+      .toUpperCase();
+    const raastId = String(getField(raw, "raast_id") || "").trim();
+    // A known bank IBAN settles it; otherwise go by the shape of acc_no
+    const isWallet = Boolean(
+      accNo && (bankInfo ? bankInfo.wallet : toLocalMobile(accNo))
+    );
 
-    // Create card header
-    const header = document.createElement("div");
-    header.className = "card-header";
+    return {
+      id: id !== undefined ? String(id) : fingerprint,
+      fingerprint,
+      bank: declaredBank || (bankInfo && bankInfo.name) || "Unknown Bank",
+      bankCode: bankInfo ? bankInfo.code : null,
+      brandColor: bankInfo ? bankInfo.color : null,
+      bankWarning:
+        declaredBank && bankInfo && !bankNameMatches(declaredBank, bankInfo)
+          ? `The IBAN belongs to ${bankInfo.name}, not "${declaredBank}"`
+          : null,
+      title: getField(raw, "title") || "Account",
+      acc_no: accNo,
+      isWallet,
+      walletError: isWallet ? validateWalletNumber(accNo).error : null,
+      iban,
+      ibanError: iban ? validateIBAN(iban).error : null,
+      // Head office BIC from the registry when the record doesn't give one
+      swift: swift || (bankInfo && bankInfo.swift) || "",
+      swiftError: swift ? validateSwift(swift) : null,
+      branch_code: String(getField(raw, "branch_code") || "").trim(),
+      branch_address: String(getField(raw, "branch_address") || "").trim(),
+      raast_id: toLocalMobile(raastId) || raastId,
+      raastError: raastId ? validateRaastId(raastId) : null,
+      currency,
+      currencyError: validateCurrency(currency),
+      purpose: getField(raw, "purpose") || "General",
+      note: getField(raw, "note") || "",
+      logo: getField(raw, "logo") || (bankInfo && bankInfo.logo) || null,
+      // Fields the record gave itself; the rest are defaults or registry values
+      sourceFields: Object.keys(ACCOUNT_SCHEMA).filter(
+        (field) => getField(raw, field) !== undefined
+      ),
+    };
+  }
 
-    // Bank logo
-    const logoArea = createBankLogo(account);
-    header.appendChild(logoArea);
+  /**
+   * Convert a normalized account back to an accounts.json record
+   * (uses the first key of each ACCOUNT_SCHEMA field, skips empty values and
+   * ones the record didn't give, such as a SWIFT code from the bank registry;
+   * the id is always written so edits and favorites stay attached)
+   */
+  function toRawRecord(account) {
+    const raw = {};
+
+    Object.entries(ACCOUNT_SCHEMA).forEach(([field, rule]) => {
+      const value = account[field];
+      const fromRecord =
+        field === "id" || !account.sourceFields || account.sourceFields.includes(field);
+      if (fromRecord && value !== undefined && value !== null && value !== "") {
+        raw[rule.keys[0]] = value;
+      }
+    });
 
-    // Bank info
-    const bankInfo = document.createElement("div");
-    bankInfo.className = "bank-info";
-    bankInfo.innerHTML = `
-      <h3 class="bank-name">${sanitize(account.bank)}</h3>
-      <p class="account-title">${sanitize(account.title)}</p>
-    `;
-    header.appendChild(bankInfo);
+    return raw;
+  }
 
-    // Favorite button
-    const favoriteBtn = document.createElement("button");
-    favoriteBtn.type = "button";
-    favoriteBtn.className = "favorite-btn";
-    favoriteBtn.setAttribute("aria-label", "Add to favorites");
-    favoriteBtn.setAttribute("aria-pressed", isFavorite(account.id));
-    favoriteBtn.setAttribute("data-action", "favorite");
-    favoriteBtn.innerHTML = `
-      <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-        <polygon points="12,2 15.09,8.26 22,9.27 17,14.14 18.18,21.02 12,17.77 5.82,21.02 7,14.14 2,9.27 8.91,8.26"></polygon>
-      </svg>
+  /**
+   * Sample accounts shown in demo mode
+   */
+  function getSampleData() {
+    return [
+      {
+        "Bank": "Faysal Bank",
+        "Title": "Al-Rahman Trading Co.",
+        "acc_no": "4587123900456712",
+        "iban": "PK20FAYS0045871239004567",
+        "id": "1",
+        "currency": "PKR",
+        "purpose": "Business",
+        "logo": "./assets/Faysal_Bank.svg"
+      },
+      {
+        "Bank": "Allied Bank",
+        "Title": "Bilal & Sons Electronics",
+        "acc_no": "7890123456789012",
+        "iban": "PK40ABPA0078901234567890",
+        "id": "2",
+        "currency": "PKR",
+        "purpose": "Business",
+        "logo": "./assets/allied_bank.svg"
+      },
+      {
+        "Bank": "JazzCash",
+        "Title": "Ayesha Fatima",
+        "acc_no": "03211234567",
+        "iban": "PK37JCMA0412900321123456",
+        "id": "3",
+        "currency": "PKR",
+        "purpose": "Mobile Wallet",
+        "logo": "./assets/jazzcash.svg"
+      },
+    ];
+  }
+
+  // ============================================
+  // ENCRYPTED VAULT (AES-GCM + PBKDF2)
+  // ============================================
+
+  const VAULT_FORMAT = "accounts-vault";
+  const VAULT_VERSION = 1;
+
+  let passphraseRequest = null; // { resolve } while the passphrase modal is open
+
+  /**
+   * Check whether fetched JSON is an encrypted vault rather than plain records
+   */
+  function isEncryptedVault(data) {
+    return (
+      data !== null &&
+      typeof data === "object" &&
+      !Array.isArray(data) &&
+      data.format === VAULT_FORMAT
+    );
+  }
+
+  /**
+   * Encode bytes as base64 for the vault JSON
+   */
+  function bytesToBase64(bytes) {
+    let binary = "";
+    bytes.forEach((byte) => {
+      binary += String.fromCharCode(byte);
+    });
+    return btoa(binary);
+  }
+
+  /**
+   * Decode a base64 vault field back to bytes
+   */
+  function base64ToBytes(str) {
+    const binary = atob(str);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+
+  /**
+   * Derive the AES-GCM key from a passphrase with PBKDF2
+   */
+  async function deriveVaultKey(passphrase, salt, iterations, usage) {
+    if (!window.crypto || !crypto.subtle) {
+      throw new Error("Encryption needs a secure (https) connection");
+    }
+
+    const material = await crypto.subtle.importKey(
+      "raw",
+      new TextEncoder().encode(passphrase),
+      "PBKDF2",
+      false,
+      ["deriveKey"]
+    );
+    return crypto.subtle.deriveKey(
+      { name: "PBKDF2", salt, iterations, hash: "SHA-256" },
+      material,
+      { name: "AES-GCM", length: 256 },
+      false,
+      [usage]
+    );
+  }
+
+  /**
+   * Encrypt accounts.json content into the vault format loadData understands
+   */
+  async function encryptVault(payload, passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const iterations = CONFIG.VAULT_ITERATIONS;
+    const key = await deriveVaultKey(passphrase, salt, iterations, "encrypt");
+    const ciphertext = await crypto.subtle.encrypt(
+      { name: "AES-GCM", iv },
+      key,
+      new TextEncoder().encode(JSON.stringify(payload))
+    );
+
+    return {
+      format: VAULT_FORMAT,
+      version: VAULT_VERSION,
+      kdf: {
+        name: "PBKDF2",
+        hash: "SHA-256",
+        iterations,
+        salt: bytesToBase64(salt),
+      },
+      cipher: { name: "AES-GCM", iv: bytesToBase64(iv) },
+      data: bytesToBase64(new Uint8Array(ciphertext)),
+    };
+  }
+
+  /**
+   * Decrypt a vault; returns null when the passphrase is wrong
+   */
+  async function decryptVault(vault, passphrase) {
+    if (
+      vault.version !== VAULT_VERSION ||
+      !vault.kdf ||
+      !vault.cipher ||
+      typeof vault.data !== "string"
+    ) {
+      throw new Error(`Unsupported encrypted accounts file (version ${vault.version})`);
+    }
+
+    const key = await deriveVaultKey(
+      passphrase,
+      base64ToBytes(vault.kdf.salt),
+      vault.kdf.iterations,
+      "decrypt"
+    );
+
+    let plaintext;
+    try {
+      plaintext = await crypto.subtle.decrypt(
+        { name: "AES-GCM", iv: base64ToBytes(vault.cipher.iv) },
+        key,
+        base64ToBytes(vault.data)
+      );
+    } catch (error) {
+      // AES-GCM authentication fails for a wrong passphrase (or tampered data)
+      log("Vault decryption failed:", error);
+      return null;
+    }
+
+    return JSON.parse(new TextDecoder().decode(plaintext));
+  }
+
+  /**
+   * Decrypt a vault, asking for the passphrase until it is right or cancelled
+   * The passphrase is remembered in sessionStorage for the rest of the session
+   */
+  async function unlockVault(vault) {
+    let passphrase = sessionStorage.getItem(CONFIG.PASSPHRASE_KEY);
+    let errorMessage = "";
+
+    while (true) {
+      if (passphrase) {
+        const data = await decryptVault(vault, passphrase);
+        if (data !== null) {
+          sessionStorage.setItem(CONFIG.PASSPHRASE_KEY, passphrase);
+          closePassphraseModal();
+          return data;
+        }
+        sessionStorage.removeItem(CONFIG.PASSPHRASE_KEY);
+        errorMessage = "Wrong passphrase. Please try again.";
+      }
+
+      passphrase = await promptPassphrase(errorMessage);
+      if (passphrase === null) {
+        throw new Error("Accounts are encrypted and no passphrase was entered");
+      }
+    }
+  }
+
+  /**
+   * Show the passphrase modal and resolve with the entered value (null if cancelled)
+   */
+  function promptPassphrase(errorMessage = "") {
+    const modal = DOM.passphraseModal;
+    if (!modal) return Promise.resolve(null);
+
+    DOM.passphraseInput.value = "";
+    DOM.passphraseInput.setAttribute("aria-invalid", errorMessage ? "true" : "false");
+    DOM.passphraseError.textContent = errorMessage;
+    DOM.passphraseSubmitBtn.disabled = false;
+
+    if (modal.getAttribute("aria-hidden") !== "false") {
+      modal.setAttribute("aria-hidden", "false");
+      setupModalFocusTrap(modal);
+    }
+    DOM.passphraseInput.focus();
+
+    return new Promise((resolve) => {
+      passphraseRequest = { resolve };
+    });
+  }
+
+  /**
+   * Close the passphrase modal, cancelling a pending prompt
+   */
+  function closePassphraseModal() {
+    const modal = DOM.passphraseModal;
+    if (modal) {
+      modal.setAttribute("aria-hidden", "true");
+    }
+    settlePassphraseRequest(null);
+  }
+
+  /**
+   * Resolve the pending passphrase prompt, if any
+   */
+  function settlePassphraseRequest(value) {
+    if (!passphraseRequest) return;
+    const { resolve } = passphraseRequest;
+    passphraseRequest = null;
+    resolve(value);
+  }
+
+  /**
+   * Wire the passphrase form (needed before loadData, so not in setupEventListeners)
+   */
+  function setupPassphrasePrompt() {
+    if (!DOM.passphraseForm) return;
+
+    DOM.passphraseForm.addEventListener("submit", (e) => {
+      e.preventDefault();
+      const value = DOM.passphraseInput.value;
+      if (!value) {
+        DOM.passphraseError.textContent = "Enter the passphrase";
+        DOM.passphraseInput.setAttribute("aria-invalid", "true");
+        return;
+      }
+      DOM.passphraseError.textContent = "Unlocking…";
+      DOM.passphraseSubmitBtn.disabled = true;
+      settlePassphraseRequest(value);
+    });
+    DOM.passphraseCancelBtn.addEventListener("click", closePassphraseModal);
+  }
+
+  /**
+   * Forget the session passphrase so the vault is locked again on reload
+   */
+  function lockVault() {
+    sessionStorage.removeItem(CONFIG.PASSPHRASE_KEY);
+    showToast("Accounts locked. The passphrase will be asked again on reload.", "success");
+  }
+
+  /**
+   * Open the owner-mode screen that encrypts accounts into a vault file
+   */
+  function openVaultModal() {
+    if (!isOwnerMode || !DOM.vaultModal) return;
+
+    closeEditorModal();
+    DOM.vaultForm.reset();
+    DOM.vaultErrors.innerHTML = "";
+    DOM.vaultModal.setAttribute("aria-hidden", "false");
+    setupModalFocusTrap(DOM.vaultModal);
+  }
+
+  /**
+   * Close the vault encryption modal
+   */
+  function closeVaultModal() {
+    const modal = DOM.vaultModal;
+    if (modal) {
+      modal.setAttribute("aria-hidden", "true");
+    }
+  }
+
+  /**
+   * Read the records to encrypt: the chosen plain accounts.json, or the
+   * accounts currently shown (including local edits) when no file is chosen
+   */
+  async function readVaultSource(file) {
+    if (!file) {
+      return createPublishedData(allAccounts);
+    }
+
+    let data;
+    try {
+      data = JSON.parse(await file.text());
+    } catch (error) {
+      throw new Error(`${file.name} is not valid JSON (${error.message})`);
+    }
+    if (isEncryptedVault(data)) {
+      throw new Error(`${file.name} is already encrypted`);
+    }
+    if (!Array.isArray(unwrapAccountsData(data).records)) {
+      throw new Error(`${file.name} must contain an array of accounts`);
+    }
+    return data;
+  }
+
+  /**
+   * Encrypt the selected accounts and download the vault as accounts.json
+   */
+  async function handleVaultSubmit(e) {
+    e.preventDefault();
+
+    const passphrase = DOM.vaultPassphrase.value;
+    const errors = [];
+    if (passphrase.length < CONFIG.VAULT_MIN_PASSPHRASE) {
+      errors.push(
+        `Passphrase must be at least ${CONFIG.VAULT_MIN_PASSPHRASE} characters`
+      );
+    }
+    if (passphrase !== DOM.vaultPassphraseConfirm.value) {
+      errors.push("Passphrases do not match");
+    }
+
+    let payload = null;
+    let count = 0;
+    if (errors.length === 0) {
+      try {
+        payload = await readVaultSource(DOM.vaultFile.files[0]);
+        count = unwrapAccountsData(payload).records.length;
+        if (count === 0) {
+          errors.push("There are no accounts to encrypt");
+        }
+      } catch (error) {
+        errors.push(error.message);
+      }
+    }
+
+    DOM.vaultErrors.innerHTML = errors
+      .map((error) => `<li>${sanitize(error)}</li>`)
+      .join("");
+    if (errors.length > 0) return;
+
+    try {
+      const vault = await encryptVault(payload, passphrase);
+      const blob = new Blob([JSON.stringify(vault, null, 2) + "\n"], {
+        type: "application/json",
+      });
+      downloadBlob(blob, "accounts.json");
+      showToast(
+        `Encrypted ${count} account${count === 1 ? "" : "s"} into accounts.json`,
+        "success"
+      );
+      closeVaultModal();
+    } catch (error) {
+      log("Vault encryption error:", error);
+      DOM.vaultErrors.innerHTML = `<li>${sanitize(error.message)}</li>`;
+    }
+  }
+
+  // ============================================
+  // FAVORITES MANAGEMENT
+  // ============================================
+
+  /**
+   * Load favorites from localStorage
+   */
+  function loadFavorites() {
+    try {
+      const stored = localStorage.getItem(CONFIG.FAVORITES_KEY);
+      favorites = stored ? JSON.parse(stored) : [];
+    } catch (error) {
+      log("Failed to load favorites:", error);
+      favorites = [];
+    }
+  }
+
+  /**
+   * Save favorites to localStorage
+   */
+  function saveFavorites() {
+    try {
+      localStorage.setItem(CONFIG.FAVORITES_KEY, JSON.stringify(favorites));
+    } catch (error) {
+      log("Failed to save favorites:", error);
+    }
+  }
+
+  /**
+   * Toggle favorite status for an account
+   */
+  function toggleFavorite(accountId) {
+    const index = favorites.indexOf(accountId);
+
+    if (index > -1) {
+      favorites.splice(index, 1);
+      showToast("Removed from favorites", "success");
+    } else {
+      favorites.push(accountId);
+      showToast("Added to favorites", "success");
+    }
+
+    saveFavorites();
+    updateFavoriteButton(accountId);
+    renderFavoritesStrip();
+
+    // Re-apply filters if favorites-only is active
+    if (currentFilters.favoritesOnly) {
+      applyFilters();
+    }
+  }
+
+  /**
+   * Check if account is favorited
+   */
+  function isFavorite(accountId) {
+    return favorites.includes(accountId);
+  }
+
+  /**
+   * Update favorite button state for a specific account
+   */
+  function updateFavoriteButton(accountId) {
+    const buttons = document.querySelectorAll(
+      `[data-account-id="${accountId}"] .favorite-btn`
+    );
+    buttons.forEach((button) => {
+      const isFav = isFavorite(accountId);
+      button.setAttribute("aria-pressed", isFav);
+
+      const icon = button.querySelector(".icon");
+      if (icon) {
+        if (isFav) {
+          icon.style.fill = "#ffc107";
+        } else {
+          icon.style.fill = "none";
+        }
+      }
+    });
+  }
+
+  // ============================================
+  // LOCAL EDITS (IndexedDB)
+  // ============================================
+
+  const EDITS_STORE = "edits";
+  const EDITS_RECORD_KEY = "layer";
+
+  /**
+   * Empty local edit layer
+   * records: id -> accounts.json record added or changed locally
+   * deleted: ids removed locally
+   * order:   full id order after a local reorder (null = data order)
+   */
+  function createEmptyEdits() {
+    return { records: {}, deleted: [], order: null };
+  }
+
+  /**
+   * Whether any local edits are layered on top of the fetched data
+   */
+  function hasLocalEdits() {
+    return (
+      Object.keys(localEdits.records).length > 0 ||
+      localEdits.deleted.length > 0 ||
+      Boolean(localEdits.order)
+    );
+  }
+
+  /**
+   * Open (and create on first use) the IndexedDB database
+   */
+  function openEditsDB() {
+    return new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error("IndexedDB is not supported"));
+        return;
+      }
+
+      const request = indexedDB.open(CONFIG.EDITS_DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(EDITS_STORE);
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Run a single request against the edits store and resolve with its result
+   */
+  async function runEditsRequest(mode, makeRequest) {
+    const db = await openEditsDB();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(EDITS_STORE, mode);
+      const request = makeRequest(transaction.objectStore(EDITS_STORE));
+
+      transaction.oncomplete = () => {
+        db.close();
+        resolve(request.result);
+      };
+      transaction.onerror = () => {
+        db.close();
+        reject(transaction.error);
+      };
+    });
+  }
+
+  /**
+   * Load the local edit layer from IndexedDB
+   */
+  async function loadLocalEdits() {
+    try {
+      const stored = await runEditsRequest("readonly", (store) =>
+        store.get(EDITS_RECORD_KEY)
+      );
+      localEdits = { ...createEmptyEdits(), ...(stored || {}) };
+    } catch (error) {
+      log("Failed to load local edits:", error);
+      localEdits = createEmptyEdits();
+    }
+  }
+
+  /**
+   * Persist the local edit layer to IndexedDB
+   */
+  async function saveLocalEdits() {
+    await runEditsRequest("readwrite", (store) =>
+      store.put(localEdits, EDITS_RECORD_KEY)
+    );
+  }
+
+  /**
+   * Discard all local edits and go back to the fetched data
+   */
+  async function discardLocalEdits() {
+    if (!window.confirm("Discard all local changes to your accounts?")) return;
+
+    try {
+      await runEditsRequest("readwrite", (store) =>
+        store.delete(EDITS_RECORD_KEY)
+      );
+      localEdits = createEmptyEdits();
+      refreshAccounts();
+      renderEditorList();
+      showToast("Local changes discarded", "success");
+    } catch (error) {
+      log("Failed to discard local edits:", error);
+      showToast("Failed to discard local changes", "error");
+    }
+  }
+
+  /**
+   * Apply the local edit layer to a list of fetched accounts
+   */
+  function mergeLocalEdits(accounts) {
+    const byId = new Map(accounts.map((account) => [account.id, account]));
+
+    localEdits.deleted.forEach((id) => byId.delete(id));
+    Object.values(localEdits.records).forEach((raw) => {
+      byId.set(String(raw.id), { ...normalizeAccount(raw), isLocal: true });
+    });
+
+    const merged = [...byId.values()];
+
+    if (localEdits.order) {
+      const position = new Map(localEdits.order.map((id, index) => [id, index]));
+      const rank = (account) =>
+        position.has(account.id) ? position.get(account.id) : Infinity;
+      merged.sort((a, b) => rank(a) - rank(b));
+    }
+
+    return merged;
+  }
+
+  /**
+   * Re-merge local edits and refresh every view that depends on allAccounts
+   */
+  function refreshAccounts() {
+    allAccounts = mergeLocalEdits(baseAccounts);
+    populateCurrencyChips();
+    populatePurposeOptions();
+    applyFilters();
+    renderFavoritesStrip();
+    updateLocalChangesIndicator();
+  }
+
+  /**
+   * Show or hide the "local changes" banner
+   */
+  function updateLocalChangesIndicator() {
+    if (!DOM.localChanges) return;
+    DOM.localChanges.hidden = !hasLocalEdits();
+  }
+
+  /**
+   * Download the merged accounts (fetched data + local edits) as accounts.json
+   */
+  function exportMergedAccounts() {
+    const data = createPublishedData(allAccounts);
+    const blob = new Blob([JSON.stringify(data, null, 2) + "\n"], {
+      type: "application/json",
+    });
+    downloadBlob(blob, "accounts.json");
+    showToast("accounts.json exported", "success");
+  }
+
+  /**
+   * Wrap accounts for publishing, stamped with today's date as updated_at
+   */
+  function createPublishedData(accounts) {
+    return {
+      updated_at: new Date().toISOString(),
+      accounts: accounts.map(toRawRecord),
+    };
+  }
+
+  // ============================================
+  // BANK LOGO HANDLING
+  // ============================================
+
+  /**
+   * Create bank logo element with fallback
+   */
+  function createBankLogo(account) {
+    const container = document.createElement("div");
+    container.className = "bank-logo-area";
+
+    if (account.logo) {
+      const img = document.createElement("img");
+      img.className = "bank-logo";
+      img.alt = `${account.bank} logo`;
+      img.src = account.logo;
+
+      // Fallback to placeholder if image fails to load
+      img.addEventListener("error", () => {
+        container.innerHTML = "";
+        container.appendChild(
+          createLogoPlaceholder(account.bank, account.brandColor)
+        );
+      });
+
+      // Timeout fallback
+      setTimeout(() => {
+        if (!img.complete || img.naturalWidth === 0) {
+          container.innerHTML = "";
+          container.appendChild(
+            createLogoPlaceholder(account.bank, account.brandColor)
+          );
+        }
+      }, CONFIG.LOGO_FALLBACK_TIMEOUT);
+
+      container.appendChild(img);
+    } else {
+      container.appendChild(createLogoPlaceholder(account.bank, account.brandColor));
+    }
+
+    return container;
+  }
+
+  /**
+   * Create logo placeholder with bank initials (in the bank's brand color if known)
+   */
+  function createLogoPlaceholder(bankName, brandColor = null) {
+    const placeholder = document.createElement("div");
+    placeholder.className = "bank-logo-placeholder";
+    if (brandColor) {
+      placeholder.style.background = brandColor;
+    }
+    placeholder.textContent = getBankInitials(bankName);
+    placeholder.setAttribute("aria-label", `${bankName} logo placeholder`);
+    return placeholder;
+  }
+
+  // ============================================
+  // VISIBILITY TOGGLE (Eye Button)
+  // ============================================
+
+  /**
+   * Toggle visibility of account number or IBAN
+   */
+  function toggleVisibility(button, type) {
+    const detailRow = button.closest(".detail-row");
+    if (!detailRow) return;
+
+    const isVisible = button.getAttribute("data-visible") === "true";
+    const maskedElement = detailRow.querySelector(`.${type}-display`);
+    const fullElement = detailRow.querySelector(`.${type}-full`);
+
+    if (isVisible) {
+      // Hide full, show masked
+      maskedElement.style.display = "inline";
+      fullElement.style.display = "none";
+      button.setAttribute("data-visible", "false");
+      button.setAttribute("aria-label", `Show full ${type.replace("-", " ")}`);
+    } else {
+      // Show full, hide masked
+      maskedElement.style.display = "none";
+      fullElement.style.display = "inline";
+      button.setAttribute("data-visible", "true");
+      button.setAttribute("aria-label", `Hide full ${type.replace("-", " ")}`);
+    }
+  }
+
+  /**
+   * Open or close the call/WhatsApp/copy menu under a wallet number
+   */
+  function toggleWalletMenu(button) {
+    const menu = button.closest(".detail-row").querySelector(".wallet-menu");
+    if (!menu) return;
+
+    const willOpen = menu.hidden;
+    closeWalletMenus();
+    menu.hidden = !willOpen;
+    button.setAttribute("aria-expanded", String(willOpen));
+  }
+
+  /**
+   * Close every open wallet number menu
+   */
+  function closeWalletMenus() {
+    document.querySelectorAll(".wallet-menu:not([hidden])").forEach((menu) => {
+      menu.hidden = true;
+      const row = menu.closest(".detail-row");
+      const button = row && row.querySelector(".wallet-number-btn");
+      if (button) button.setAttribute("aria-expanded", "false");
+    });
+  }
+
+  // ============================================
+  // RENDERING FUNCTIONS
+  // ============================================
+
+  /**
+   * Render all accounts in the main list
+   */
+  function renderAccounts(accounts = filteredAccounts) {
+    const listContainer = DOM.list;
+
+    if (!listContainer) {
+      log("Error: List container not found");
+      return;
+    }
+
+    // Clear existing content
+    listContainer.innerHTML = "";
+
+    // Show empty state if no accounts
+    if (accounts.length === 0) {
+      listContainer.innerHTML =
+        '<li class="loading-placeholder">No accounts found</li>';
+      if (isSelectMode) updateSelectionUI();
+      // A share link still applies when the filters hide every card
+      handleShareParameter();
+      return;
+    }
+
+    // Use document fragment for better performance
+    const fragment = document.createDocumentFragment();
+
+    accounts.forEach((account) => {
+      const card = createAccountCard(account);
+      fragment.appendChild(card);
+    });
+
+    listContainer.appendChild(fragment);
+    log("Rendered", accounts.length, "accounts");
+
+    // Keep the action bar's Select All label in step with the list
+    if (isSelectMode) updateSelectionUI();
+
+    // Handle share parameter if present
+    handleShareParameter();
+  }
+
+  /**
+   * Create a single account card element
+   */
+  function createAccountCard(account) {
+    const li = document.createElement("li");
+    li.setAttribute("role", "listitem");
+    li.setAttribute("data-account-id", account.id);
+
+    const article = document.createElement("article");
+    article.className = "account-card";
+
+    // Create card header
+    const header = document.createElement("div");
+    header.className = "card-header";
+
+    // Selection checkbox (only visible in selection mode)
+    const selectBox = document.createElement("input");
+    selectBox.type = "checkbox";
+    selectBox.className = "select-checkbox";
+    selectBox.checked = selectedAccountIds.has(account.id);
+    selectBox.setAttribute("aria-label", `Select ${account.bank} - ${account.title}`);
+    selectBox.addEventListener("click", (e) => handleSelectClick(account, selectBox, e));
+    header.appendChild(selectBox);
+    article.classList.toggle("is-selected", selectBox.checked);
+
+    // Bank logo
+    const logoArea = createBankLogo(account);
+    header.appendChild(logoArea);
+
+    // Bank info
+    const bankInfo = document.createElement("div");
+    bankInfo.className = "bank-info";
+    bankInfo.innerHTML = `
+      <h3 class="bank-name">${sanitize(account.bank)}</h3>
+      <p class="account-title">${sanitize(account.title)}</p>
+    `;
+    header.appendChild(bankInfo);
+
+    // Favorite button
+    const favoriteBtn = document.createElement("button");
+    favoriteBtn.type = "button";
+    favoriteBtn.className = "favorite-btn";
+    favoriteBtn.setAttribute("aria-label", "Add to favorites");
+    favoriteBtn.setAttribute("aria-pressed", isFavorite(account.id));
+    favoriteBtn.setAttribute("data-action", "favorite");
+    favoriteBtn.innerHTML = `
+      <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <polygon points="12,2 15.09,8.26 22,9.27 17,14.14 18.18,21.02 12,17.77 5.82,21.02 7,14.14 2,9.27 8.91,8.26"></polygon>
+      </svg>
+    `;
+
+    if (isFavorite(account.id)) {
+      favoriteBtn.querySelector(".icon").style.fill = "#ffc107";
+    }
+
+    header.appendChild(favoriteBtn);
+    article.appendChild(header);
+
+    // Card tags
+    const tags = document.createElement("div");
+    tags.className = "card-tags";
+    tags.innerHTML = `
+      <span class="tag tag-currency${
+        account.currencyError ? " tag-warning" : ""
+      }"${
+        account.currencyError ? ` title="${sanitize(account.currencyError)}"` : ""
+      }>${sanitize(account.currency)}</span>
+      ${
+        account.purpose
+          ? `<span class="tag tag-purpose">${sanitize(account.purpose)}</span>`
+          : ""
+      }
+      ${account.isLocal ? '<span class="tag tag-local">Local edit</span>' : ""}
+      ${
+        account.ibanError
+          ? `<span class="tag tag-warning" title="${sanitize(
+              account.ibanError
+            )}">
+              <svg class="icon icon-sm" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <path d="M10.29 3.86L1.82 18a2 2 0 0 0 1.71 3h16.94a2 2 0 0 0 1.71-3L13.71 3.86a2 2 0 0 0-3.42 0z"></path>
+                <line x1="12" y1="9" x2="12" y2="13"></line>
+                <line x1="12" y1="17" x2="12.01" y2="17"></line>
+              </svg>
+              Invalid IBAN
+            </span>`
+          : ""
+      }
+      ${
+        account.bankWarning
+          ? `<span class="tag tag-warning" title="${sanitize(
+              account.bankWarning
+            )}">Check bank</span>`
+          : ""
+      }
+      ${
+        account.walletError
+          ? `<span class="tag tag-warning" title="${sanitize(
+              account.walletError
+            )}">Invalid wallet number</span>`
+          : ""
+      }
+    `;
+    article.appendChild(tags);
+
+    if (
+      account.ibanError ||
+      account.bankWarning ||
+      account.walletError ||
+      account.swiftError ||
+      account.raastError
+    ) {
+      article.classList.add("has-warning");
+    }
+
+    // Card details
+    const details = document.createElement("div");
+    details.className = "card-details";
+
+    let detailsHTML = "";
+
+    if (account.acc_no) {
+      // Valid wallet numbers are tappable: call, WhatsApp or copy as +92
+      const isValidWallet = account.isWallet && !account.walletError;
+      const numberHTML = `
+            <span class="detail-value account-number-display">${
+              isValidWallet
+                ? maskMobileNumber(account.acc_no)
+                : maskAccountNumber(account.acc_no)
+            }</span>
+            <span class="detail-value account-number-full" style="display: none;">${sanitize(
+              formatAccountNumber(account)
+            )}</span>`;
+      const international = toInternationalMobile(account.acc_no);
+
+      detailsHTML += `
+        <div class="detail-row">
+          <span class="detail-label">${account.isWallet ? "Wallet No:" : "Account No:"}</span>
+          <div class="detail-value-wrapper">
+            ${
+              isValidWallet
+                ? `<button type="button" class="wallet-number-btn" data-action="wallet-menu" aria-expanded="false" aria-haspopup="true" aria-label="Call, message or copy this wallet number">${numberHTML}</button>`
+                : numberHTML
+            }
+            <button type="button" class="eye-btn" data-action="toggle-visibility" data-type="account-number" data-visible="false" aria-label="Show full account number">
+              <svg class="icon icon-eye" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"></path>
+                <circle cx="12" cy="12" r="3"></circle>
+              </svg>
+              <svg class="icon icon-eye-slash" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <path d="M17.94 17.94A10.07 10.07 0 0 1 12 20c-7 0-11-8-11-8a18.45 18.45 0 0 1 5.06-5.94M9.9 4.24A9.12 9.12 0 0 1 12 4c7 0 11 8 11 8a18.5 18.5 0 0 1-2.16 3.19m-6.72-1.07a3 3 0 1 1-4.24-4.24"></path>
+                <line x1="1" y1="1" x2="23" y2="23"></line>
+              </svg>
+            </button>
+            <button type="button" class="copy-btn" data-action="copy-account" data-value="${sanitize(
+              account.acc_no
+            )}" aria-label="Copy account number">
+              <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <rect x="9" y="9" width="13" height="13" rx="2" ry="2"></rect>
+                <path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"></path>
+              </svg>
+            </button>
+          </div>
+          ${
+            isValidWallet
+              ? `<div class="wallet-menu" hidden>
+            <a class="wallet-link" href="tel:${international}">Call</a>
+            <a class="wallet-link" href="https://wa.me/${international.slice(1)}" target="_blank" rel="noopener">WhatsApp</a>
+            <button type="button" class="wallet-link" data-action="copy-international">Copy ${international}</button>
+          </div>`
+              : ""
+          }
+        </div>
+      `;
+    }
+
+    if (account.iban) {
+      detailsHTML += `
+        <div class="detail-row">
+          <span class="detail-label">IBAN:</span>
+          <div class="detail-value-wrapper">
+            <span class="detail-value iban-display">${maskIBAN(
+              account.iban
+            )}</span>
+            <span class="detail-value iban-full" style="display: none;">${sanitize(
+              account.iban
+            )}</span>
+            <button type="button" class="eye-btn" data-action="toggle-visibility" data-type="iban" data-visible="false" aria-label="Show full IBAN">
+              <svg class="icon icon-eye" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"></path>
+                <circle cx="12" cy="12" r="3"></circle>
+              </svg>
+              <svg class="icon icon-eye-slash" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <path d="M17.94 17.94A10.07 10.07 0 0 1 12 20c-7 0-11-8-11-8a18.45 18.45 0 0 1 5.06-5.94M9.9 4.24A9.12 9.12 0 0 1 12 4c7 0 11 8 11 8a18.5 18.5 0 0 1-2.16 3.19m-6.72-1.07a3 3 0 1 1-4.24-4.24"></path>
+                <line x1="1" y1="1" x2="23" y2="23"></line>
+              </svg>
+            </button>
+            <button type="button" class="copy-btn" data-action="copy-iban" data-value="${sanitize(
+              account.iban
+            )}" aria-label="Copy IBAN">
+              <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <rect x="9" y="9" width="13" height="13" rx="2" ry="2"></rect>
+                <path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"></path>
+              </svg>
+            </button>
+          </div>
+        </div>
+      `;
+    }
+
+    // SWIFT/BIC, branch code and Raast ID, each with a copy button
+    [
+      ["swift", account.swift],
+      ["branch_code", account.branch_code],
+      [
+        "raast_id",
+        account.raastError ? account.raast_id : formatMobileNumber(account.raast_id),
+      ],
+    ]
+      .filter(([, display]) => display)
+      .forEach(([field, display]) => {
+        const label = ACCOUNT_SCHEMA[field].label;
+        detailsHTML += `
+        <div class="detail-row">
+          <span class="detail-label">${label}:</span>
+          <div class="detail-value-wrapper">
+            <span class="detail-value">${sanitize(display)}</span>
+            <button type="button" class="copy-btn" data-action="copy-field" data-field="${field}" aria-label="Copy ${label}">
+              <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <rect x="9" y="9" width="13" height="13" rx="2" ry="2"></rect>
+                <path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"></path>
+              </svg>
+            </button>
+          </div>
+        </div>
+      `;
+      });
+
+    if (account.branch_address) {
+      detailsHTML += `
+        <div class="detail-row">
+          <span class="detail-label">Branch:</span>
+          <div class="detail-value-wrapper">
+            <span class="detail-value branch-address">${sanitize(
+              account.branch_address
+            )}</span>
+            <button type="button" class="copy-btn" data-action="copy-field" data-field="branch_address" aria-label="Copy branch address">
+              <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <rect x="9" y="9" width="13" height="13" rx="2" ry="2"></rect>
+                <path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"></path>
+              </svg>
+            </button>
+          </div>
+        </div>
+      `;
+    }
+
+    if (account.ibanError) {
+      detailsHTML += `<p class="account-warning" role="alert">${sanitize(
+        account.ibanError
+      )}. Please confirm the IBAN with the account holder before sending money.</p>`;
+    }
+
+    if (account.bankWarning) {
+      detailsHTML += `<p class="account-warning" role="alert">${sanitize(
+        account.bankWarning
+      )}. Please confirm which bank this account is with.</p>`;
+    }
+
+    if (account.walletError) {
+      detailsHTML += `<p class="account-warning" role="alert">${sanitize(
+        account.walletError
+      )}. Please confirm the wallet number with the account holder.</p>`;
+    }
+
+    [account.swiftError, account.raastError]
+      .filter(Boolean)
+      .forEach((error) => {
+        detailsHTML += `<p class="account-warning" role="alert">${sanitize(
+          error
+        )}.</p>`;
+      });
+
+    if (account.note) {
+      detailsHTML += `<p class="account-note">${sanitize(account.note)}</p>`;
+    }
+
+    details.innerHTML = detailsHTML;
+    article.appendChild(details);
+
+    // Card actions
+    const actions = document.createElement("div");
+    actions.className = "card-actions";
+    actions.innerHTML = `
+      <button type="button" class="action-btn" data-action="show-qr" aria-label="Show QR code for ${sanitize(
+        account.bank
+      )}" aria-controls="qr-modal">
+        <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <rect x="3" y="3" width="5" height="5"></rect>
+          <rect x="16" y="3" width="5" height="5"></rect>
+          <rect x="3" y="16" width="5" height="5"></rect>
+          <path d="M21 16h-3a2 2 0 0 0-2 2v3"></path>
+          <path d="M21 21v.01"></path>
+          <path d="M12 7v3a2 2 0 0 1-2 2H7"></path>
+          <path d="M3 12h.01"></path>
+          <path d="M12 3h.01"></path>
+          <path d="M12 16v.01"></path>
+          <path d="M16 12h1"></path>
+          <path d="M21 12v.01"></path>
+          <path d="M12 21v-1"></path>
+        </svg>
+        QR Code
+      </button>
+      <button type="button" class="action-btn" data-action="share" aria-label="Share ${sanitize(
+        account.bank
+      )} details">
+        <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <circle cx="18" cy="5" r="3"></circle>
+          <circle cx="6" cy="12" r="3"></circle>
+          <circle cx="18" cy="19" r="3"></circle>
+          <line x1="8.59" y1="13.51" x2="15.42" y2="17.49"></line>
+          <line x1="15.41" y1="6.51" x2="8.59" y2="10.49"></line>
+        </svg>
+        Share
+      </button>
+      <button type="button" class="action-btn" data-action="download-pdf" aria-label="Download ${sanitize(
+        account.bank
+      )} as PDF">
+        <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
+          <polyline points="7,10 12,15 17,10"></polyline>
+          <line x1="12" y1="15" x2="12" y2="3"></line>
+        </svg>
+        PDF
+      </button>
+      <button type="button" class="action-btn" data-action="export" aria-label="Export ${sanitize(
+        account.bank
+      )} as a file" aria-controls="export-modal">
+        <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"></path>
+          <polyline points="14,2 14,8 20,8"></polyline>
+          <line x1="12" y1="18" x2="12" y2="12"></line>
+          <polyline points="9,15 12,12 15,15"></polyline>
+        </svg>
+        Export
+      </button>
+    `;
+    article.appendChild(actions);
+
+    // Attach event listeners
+    attachCardEventListeners(article, account);
+
+    li.appendChild(article);
+    return li;
+  }
+
+  /**
+   * Attach event listeners to card buttons
+   */
+  function attachCardEventListeners(card, account) {
+    const buttons = card.querySelectorAll("[data-action]");
+
+    buttons.forEach((button) => {
+      button.addEventListener("click", (e) => {
+        e.preventDefault();
+        const action = button.getAttribute("data-action");
+        handleCardAction(action, account, button);
+      });
+    });
+  }
+
+  /**
+   * Handle card button actions
+   */
+  function handleCardAction(action, account, button) {
+    switch (action) {
+      case "favorite":
+        toggleFavorite(account.id);
+        break;
+      case "copy-account":
+        copyToClipboard(
+          account.isWallet && !account.walletError
+            ? toLocalMobile(account.acc_no)
+            : account.acc_no,
+          account.isWallet ? "Wallet number" : "Account number"
+        );
+        break;
+      case "copy-international":
+        copyToClipboard(toInternationalMobile(account.acc_no), "International number");
+        closeWalletMenus();
+        break;
+      case "wallet-menu":
+        toggleWalletMenu(button);
+        break;
+      case "copy-iban":
+        copyToClipboard(account.iban, "IBAN");
+        break;
+      case "copy-field": {
+        const field = button.getAttribute("data-field");
+        copyToClipboard(account[field], ACCOUNT_SCHEMA[field].label);
+        break;
+      }
+      case "toggle-visibility":
+        const type = button.getAttribute("data-type");
+        toggleVisibility(button, type);
+        break;
+      case "show-qr":
+        showQRModal(account);
+        break;
+      case "share":
+        openShareModal([account]);
+        break;
+      case "download-pdf":
+        openDocumentModal(account);
+        break;
+      case "export":
+        openExportModal([account], `${account.bank} - ${account.title}`);
+        break;
+      default:
+        log("Unknown action:", action);
+    }
+  }
+
+  /**
+   * Render favorites strip at the top
+   */
+  function renderFavoritesStrip() {
+    const container = DOM.favoritesContainer;
+
+    if (!container) return;
+
+    // Get favorite accounts
+    const favoriteAccounts = allAccounts
+      .filter((account) => isFavorite(account.id))
+      .slice(0, CONFIG.MAX_FAVORITES_DISPLAY);
+
+    // Clear container
+    container.innerHTML = "";
+
+    if (favoriteAccounts.length === 0) {
+      DOM.favorites.style.display = "none";
+      return;
+    }
+
+    DOM.favorites.style.display = "block";
+
+    // Use document fragment
+    const fragment = document.createDocumentFragment();
+
+    favoriteAccounts.forEach((account) => {
+      const card = createAccountCard(account);
+      fragment.appendChild(card);
+    });
+
+    container.appendChild(fragment);
+  }
+
+  // ============================================
+  // SEARCH & FILTER FUNCTIONS
+  // ============================================
+
+  /**
+   * Apply all active filters
+   */
+  function applyFilters() {
+    filteredAccounts = allAccounts.filter((account) => {
+      // Search filter
+      if (currentFilters.search) {
+        const searchTerm = currentFilters.search.toLowerCase();
+        const searchableFields = [
+          account.bank,
+          account.title,
+          account.acc_no,
+          account.iban,
+          account.swift,
+          account.branch_code,
+          account.branch_address,
+          account.raast_id,
+          account.purpose,
+          account.note,
+        ];
+
+        const matchesSearch = searchableFields.some(
+          (field) => field && field.toLowerCase().includes(searchTerm)
+        );
+
+        if (!matchesSearch) return false;
+      }
+
+      // Currency filter
+      if (currentFilters.currency !== "all") {
+        if (account.currency !== currentFilters.currency) return false;
+      }
+
+      // Purpose filter
+      if (currentFilters.purpose !== "all") {
+        if (account.purpose !== currentFilters.purpose) return false;
+      }
+
+      // Favorites filter
+      if (currentFilters.favoritesOnly) {
+        if (!isFavorite(account.id)) return false;
+      }
+
+      return true;
+    });
+
+    // Cards a filter hides leave the selection, so batch actions only ever
+    // act on accounts that are on screen
+    if (isSelectMode) {
+      const visibleIds = new Set(filteredAccounts.map((account) => account.id));
+      selectedAccountIds.forEach((id) => {
+        if (!visibleIds.has(id)) selectedAccountIds.delete(id);
+      });
+    }
+
+    syncFiltersToURL();
+    renderAccounts(filteredAccounts);
+    log("Filtered to", filteredAccounts.length, "accounts");
+  }
+
+  // Query parameters holding the filters (?q=rent&currency=USD&purpose=...&favorites=1)
+  const FILTER_PARAMS = {
+    search: "q",
+    currency: "currency",
+    purpose: "purpose",
+    favoritesOnly: "favorites",
+  };
+
+  /**
+   * Set currentFilters from the URL; missing parameters mean no filter
+   */
+  function readFiltersFromURL() {
+    const urlParams = new URLSearchParams(window.location.search);
+    currentFilters = {
+      search: urlParams.get(FILTER_PARAMS.search) || "",
+      currency: urlParams.get(FILTER_PARAMS.currency) || "all",
+      purpose: urlParams.get(FILTER_PARAMS.purpose) || "all",
+      favoritesOnly: urlParams.get(FILTER_PARAMS.favoritesOnly) === "1",
+    };
+  }
+
+  /**
+   * Mirror currentFilters in the URL, leaving other parameters (?share,
+   * ?owner) alone; replaces the history entry so Back isn't flooded
+   */
+  function syncFiltersToURL() {
+    const urlParams = new URLSearchParams(window.location.search);
+    const values = {
+      search: currentFilters.search.trim(),
+      currency: currentFilters.currency !== "all" ? currentFilters.currency : "",
+      purpose: currentFilters.purpose !== "all" ? currentFilters.purpose : "",
+      favoritesOnly: currentFilters.favoritesOnly ? "1" : "",
+    };
+    Object.entries(FILTER_PARAMS).forEach(([filter, name]) => {
+      if (values[filter]) urlParams.set(name, values[filter]);
+      else urlParams.delete(name);
+    });
+
+    const query = urlParams.toString();
+    const search = query ? `?${query}` : "";
+    if (search === window.location.search) return;
+    window.history.replaceState(
+      window.history.state,
+      document.title,
+      window.location.pathname + search + window.location.hash
+    );
+  }
+
+  /**
+   * Show currentFilters in the search box, chips, dropdown and toggle
+   */
+  function updateFilterControls() {
+    if (DOM.search) DOM.search.value = currentFilters.search;
+    updateCurrencyChipState();
+    if (DOM.purposeSelect) DOM.purposeSelect.value = currentFilters.purpose;
+    if (DOM.favoritesToggle) {
+      DOM.favoritesToggle.setAttribute("aria-pressed", currentFilters.favoritesOnly);
+    }
+  }
+
+  /**
+   * Back/forward: restore the filters and share link of that entry
+   */
+  function handlePopState() {
+    readFiltersFromURL();
+    populateCurrencyChips();
+    populatePurposeOptions();
+    updateFilterControls();
+    applyFilters();
+  }
+
+  /**
+   * Setup search functionality with debouncing
+   */
+  function setupSearch() {
+    const searchInput = DOM.search;
+
+    if (!searchInput) return;
+
+    const debouncedSearch = debounce((value) => {
+      currentFilters.search = value;
+      applyFilters();
+    }, CONFIG.DEBOUNCE_DELAY);
+
+    searchInput.addEventListener("input", (e) => {
+      debouncedSearch(e.target.value);
+    });
+  }
+
+  /**
+   * Setup filter chips
+   */
+  function setupFilters() {
+    // Currency filters (chips are rebuilt from the data, so delegate)
+    if (DOM.currencyFilters) {
+      DOM.currencyFilters.addEventListener("click", (e) => {
+        const chip = e.target.closest(".filter-chip");
+        if (!chip) return;
+
+        currentFilters.currency = chip.getAttribute("data-currency");
+        updateCurrencyChipState();
+        applyFilters();
+      });
+    }
+
+    // Purpose filter
+    const purposeSelect = DOM.purposeSelect;
+    if (purposeSelect) {
+      purposeSelect.addEventListener("change", (e) => {
+        currentFilters.purpose = e.target.value;
+        applyFilters();
+      });
+    }
+
+    // Favorites toggle
+    const favoritesToggle = DOM.favoritesToggle;
+    if (favoritesToggle) {
+      favoritesToggle.addEventListener("click", () => {
+        currentFilters.favoritesOnly = !currentFilters.favoritesOnly;
+        favoritesToggle.setAttribute(
+          "aria-pressed",
+          currentFilters.favoritesOnly
+        );
+        applyFilters();
+      });
+    }
+  }
+
+  /**
+   * Build the currency chips from the currencies present in allAccounts,
+   * most common first, each with a symbol and an account count
+   */
+  function populateCurrencyChips() {
+    const container = DOM.currencyFilters;
+    if (!container) return;
+
+    const counts = new Map();
+    allAccounts.forEach((account) => {
+      counts.set(account.currency, (counts.get(account.currency) || 0) + 1);
+    });
+    const currencies = [...counts.keys()].sort(
+      (a, b) => counts.get(b) - counts.get(a) || a.localeCompare(b)
+    );
+
+    // A filter with a single option filters nothing
+    if (!counts.has(currentFilters.currency)) {
+      currentFilters.currency = "all";
+    }
+    container.hidden = currencies.length < 2;
+
+    const createChip = ({ value, name, symbol = "", count, error = null }) => `
+      <button type="button" class="filter-chip${
+        error ? " filter-chip-warning" : ""
+      }" data-currency="${sanitize(value)}" aria-pressed="false" aria-label="${sanitize(
+        `${name}, ${count} account${count === 1 ? "" : "s"}`
+      )}"${error ? ` title="${sanitize(error)}"` : ""}>
+        ${
+          symbol
+            ? `<span class="chip-symbol" aria-hidden="true">${sanitize(symbol)}</span>`
+            : ""
+        }
+        ${sanitize(name)}<span class="chip-count">${count}</span>
+      </button>`;
+
+    container.innerHTML =
+      createChip({ value: "all", name: "All", count: allAccounts.length }) +
+      currencies
+        .map((code) => {
+          const symbol = getCurrencySymbol(code);
+          return createChip({
+            value: code,
+            name: code,
+            symbol: symbol !== code ? symbol : "",
+            count: counts.get(code),
+            error: validateCurrency(code),
+          });
+        })
+        .join("");
+
+    updateCurrencyChipState();
+  }
+
+  /**
+   * Mark the chip for the active currency filter as pressed
+   */
+  function updateCurrencyChipState() {
+    if (!DOM.currencyFilters) return;
+    DOM.currencyFilters.querySelectorAll(".filter-chip").forEach((chip) => {
+      chip.setAttribute(
+        "aria-pressed",
+        String(chip.getAttribute("data-currency") === currentFilters.currency)
+      );
+    });
+  }
+
+  /**
+   * Populate purpose dropdown with unique values
+   */
+  function populatePurposeOptions() {
+    const purposeSelect = DOM.purposeSelect;
+    if (!purposeSelect) return;
+
+    const purposes = [
+      ...new Set(allAccounts.map((acc) => acc.purpose).filter(Boolean)),
+    ];
+
+    // Clear existing options except "All Purposes"
+    while (purposeSelect.children.length > 1) {
+      purposeSelect.removeChild(purposeSelect.lastChild);
+    }
+
+    purposes.forEach((purpose) => {
+      const option = document.createElement("option");
+      option.value = purpose;
+      option.textContent = purpose;
+      purposeSelect.appendChild(option);
+    });
+
+    // A purpose no account has any more (or a stale link) filters everything
+    if (!purposes.includes(currentFilters.purpose)) {
+      currentFilters.purpose = "all";
+    }
+    purposeSelect.value = currentFilters.purpose;
+  }
+
+  // ============================================
+  // CLIPBOARD FUNCTIONALITY
+  // ============================================
+
+  /**
+   * Copy text to clipboard with fallback
+   */
+  async function copyToClipboard(text, label = "Text") {
+    if (!text) {
+      showToast(`No ${label.toLowerCase()} to copy`, "error");
+      return;
+    }
+
+    try {
+      if (navigator.clipboard && window.isSecureContext) {
+        await navigator.clipboard.writeText(text);
+        showToast(`${label} copied to clipboard`, "success");
+      } else {
+        // Fallback for older browsers
+        const textarea = document.createElement("textarea");
+        textarea.value = text;
+        textarea.style.position = "fixed";
+        textarea.style.left = "-999999px";
+        textarea.style.top = "-999999px";
+        document.body.appendChild(textarea);
+        textarea.focus();
+        textarea.select();
+
+        const successful = document.execCommand("copy");
+        textarea.remove();
+
+        if (successful) {
+          showToast(`${label} copied to clipboard`, "success");
+        } else {
+          throw new Error("Fallback copy failed");
+        }
+      }
+    } catch (error) {
+      log("Copy failed:", error);
+      showToast(`Failed to copy ${label.toLowerCase()}`, "error");
+    }
+  }
+
+  // ============================================
+  // PAYMENT QR PAYLOAD (EMVCo / Raast)
+  // ============================================
+
+  // Identifier of the payee template (tag 26). SBP's Raast QR specification
+  // isn't public, so this is our own value rather than a published one:
+  // the payload follows EMVCo but banking apps may not accept it, and the
+  // QR is labelled as an unofficial format wherever it is shown.
+  const RAAST_GUI = "PK.RAAST";
+  // Caption under Raast QR codes in the app, images and PDFs
+  const RAAST_QR_CAPTION = "Scan with your banking app (unofficial Raast format)";
+  // ISO 4217 numeric code; Raast only settles in rupees
+  const PKR_NUMERIC = "586";
+
+  /**
+   * Reduce a value to the printable ASCII an EMVCo field allows
+   */
+  function toEmvText(value, maxLength) {
+    return String(value || "")
+      .normalize("NFKD")
+      .replace(/[^\x20-\x7E]/g, "")
+      .replace(/\s+/g, " ")
+      .trim()
+      .slice(0, maxLength);
+  }
+
+  /**
+   * Encode one EMVCo TLV field: 2-digit tag, 2-digit length, value
+   */
+  function emvField(tag, value) {
+    return `${tag}${String(value.length).padStart(2, "0")}${value}`;
+  }
+
+  /**
+   * CRC-16/CCITT-FALSE (poly 0x1021, init 0xFFFF) as 4 uppercase hex digits
+   */
+  function crc16(text) {
+    let crc = 0xffff;
+    for (let i = 0; i < text.length; i++) {
+      crc ^= text.charCodeAt(i) << 8;
+      for (let bit = 0; bit < 8; bit++) {
+        crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xffff : (crc << 1) & 0xffff;
+      }
+    }
+    return crc.toString(16).toUpperCase().padStart(4, "0");
+  }
+
+  /**
+   * Whether a Raast payment QR can be built for an account
+   * (needs a valid PKR IBAN or a Raast ID)
+   */
+  function canUseRaastQR(account) {
+    const hasIBAN = account.iban && !account.ibanError;
+    const hasRaastId = account.raast_id && !account.raastError;
+    return account.currency === "PKR" && Boolean(hasIBAN || hasRaastId);
+  }
+
+  /**
+   * Check an optional payment amount (rupees, up to 2 decimals)
+   * Returns an error message, or null when empty or valid
+   */
+  function validatePaymentAmount(amount) {
+    if (!amount) return null;
+    if (!/^\d{1,10}(?:\.\d{1,2})?$/.test(amount) || Number(amount) <= 0) {
+      return "Amount must be a number greater than 0 with up to 2 decimals";
+    }
+    return null;
+  }
+
+  /**
+   * Build an EMVCo merchant-presented payload for Raast.
+   * Static (11) without an amount, dynamic (12) with one; the reference and
+   * note go in the additional data template as the reference label and
+   * purpose of transaction.
+   */
+  function buildRaastPayload(
+    account,
+    { amount = "", reference = "", note = "" } = {}
+  ) {
+    const payee = [emvField("00", RAAST_GUI)];
+    if (account.iban && !account.ibanError) {
+      payee.push(emvField("01", account.iban));
+    }
+    if (account.raast_id && !account.raastError) {
+      payee.push(emvField("02", toInternationalMobile(account.raast_id)));
+    }
+    if (account.swift) {
+      payee.push(emvField("03", account.swift));
+    }
+
+    // Merchant city is mandatory; the last part of the branch address is
+    // usually the city
+    const city = account.branch_address
+      ? account.branch_address.split(",").pop()
+      : "";
+    const additionalData =
+      (toEmvText(reference, 25) ? emvField("05", toEmvText(reference, 25)) : "") +
+      (toEmvText(note, 25) ? emvField("08", toEmvText(note, 25)) : "");
+
+    let payload =
+      emvField("00", "01") +
+      emvField("01", amount ? "12" : "11") +
+      emvField("26", payee.join("")) +
+      emvField("52", "0000") +
+      emvField("53", PKR_NUMERIC) +
+      (amount ? emvField("54", Number(amount).toFixed(2)) : "") +
+      emvField("58", "PK") +
+      emvField("59", toEmvText(account.title, 25) || toEmvText(account.bank, 25)) +
+      emvField("60", toEmvText(city, 15) || "Pakistan") +
+      (additionalData ? emvField("62", additionalData) : "");
+
+    payload += "6304";
+    return payload + crc16(payload);
+  }
+
+  /**
+   * Plain-text QR content for scanners that don't understand EMVCo:
+   * the IBAN or account number, plus any payment request details
+   */
+  function buildPlainQRText(account, { amount = "", reference = "", note = "" } = {}) {
+    const lines = [account.iban || account.acc_no];
+    if (amount) lines.push(`Amount: ${formatAmount(amount, account.currency)}`);
+    if (reference) lines.push(`Reference: ${reference}`);
+    if (note) lines.push(`Note: ${note}`);
+    return lines.join("\n");
+  }
+
+  // ============================================
+  // QR CODE ENCODER
+  // ============================================
+  // Self-contained QR Code Model 2 encoder (ISO/IEC 18004) so account
+  // numbers never leave the browser. Alphanumeric and byte (UTF-8) modes,
+  // all four error correction levels, versions 1-40.
+
+  // Error correction levels: index into the tables below and format bits
+  const QR_EC_LEVELS = {
+    L: { index: 0, formatBits: 1 },
+    M: { index: 1, formatBits: 0 },
+    Q: { index: 2, formatBits: 3 },
+    H: { index: 3, formatBits: 2 },
+  };
+
+  // Error correction codewords per block, by level then version (1-40)
+  const QR_ECC_PER_BLOCK = [
+    [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  ];
+
+  // Number of error correction blocks, by level then version (1-40)
+  const QR_ECC_BLOCKS = [
+    [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+    [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81],
+  ];
+
+  const QR_ALPHANUMERIC_CHARSET = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:";
+
+  /**
+   * Encode text as a single data segment, alphanumeric when every character
+   * allows it (IBANs), otherwise UTF-8 bytes
+   * Returns { mode, count, bits } where bits is an array of 0/1
+   */
+  function makeQRSegment(text) {
+    const bits = [];
+    const append = (value, length) => {
+      for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+
+    if ([...text].every((ch) => QR_ALPHANUMERIC_CHARSET.includes(ch))) {
+      for (let i = 0; i + 1 < text.length; i += 2) {
+        append(
+          QR_ALPHANUMERIC_CHARSET.indexOf(text[i]) * 45 +
+            QR_ALPHANUMERIC_CHARSET.indexOf(text[i + 1]),
+          11
+        );
+      }
+      if (text.length % 2 === 1) {
+        append(QR_ALPHANUMERIC_CHARSET.indexOf(text[text.length - 1]), 6);
+      }
+      return { mode: "alphanumeric", count: text.length, bits };
+    }
+
+    const bytes = new TextEncoder().encode(text);
+    bytes.forEach((byte) => append(byte, 8));
+    return { mode: "byte", count: bytes.length, bits };
+  }
+
+  /**
+   * Mode indicator and character count length for a segment at a version
+   */
+  function getQRModeInfo(mode, version) {
+    const band = version <= 9 ? 0 : version <= 26 ? 1 : 2;
+    return mode === "alphanumeric"
+      ? { indicator: 0x2, countBits: [9, 11, 13][band] }
+      : { indicator: 0x4, countBits: [8, 16, 16][band] };
+  }
+
+  /**
+   * Data modules available in a version (everything but function patterns)
+   */
+  function getQRRawModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+      const numAlign = Math.floor(version / 7) + 2;
+      result -= (25 * numAlign - 10) * numAlign - 55;
+      if (version >= 7) result -= 36;
+    }
+    return result;
+  }
+
+  /**
+   * Data codewords (excluding error correction) for a version and level
+   */
+  function getQRDataCodewords(version, ecIndex) {
+    return (
+      Math.floor(getQRRawModules(version) / 8) -
+      QR_ECC_PER_BLOCK[ecIndex][version] * QR_ECC_BLOCKS[ecIndex][version]
+    );
+  }
+
+  /**
+   * Multiply in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+   */
+  function gfMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+      z = (z << 1) ^ ((z >>> 7) * 0x11d);
+      z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+  }
+
+  /**
+   * Reed-Solomon generator polynomial of a degree (leading term omitted)
+   */
+  function getReedSolomonDivisor(degree) {
+    const result = new Array(degree - 1).fill(0);
+    result.push(1);
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+      for (let j = 0; j < result.length; j++) {
+        result[j] = gfMultiply(result[j], root);
+        if (j + 1 < result.length) result[j] ^= result[j + 1];
+      }
+      root = gfMultiply(root, 0x02);
+    }
+    return result;
+  }
+
+  /**
+   * Error correction codewords for a block of data
+   */
+  function getReedSolomonRemainder(data, divisor) {
+    const result = divisor.map(() => 0);
+    data.forEach((byte) => {
+      const factor = byte ^ result.shift();
+      result.push(0);
+      divisor.forEach((coef, i) => {
+        result[i] ^= gfMultiply(coef, factor);
+      });
+    });
+    return result;
+  }
+
+  /**
+   * Split data into blocks, add error correction and interleave the result
+   */
+  function addQRErrorCorrection(data, version, ecIndex) {
+    const numBlocks = QR_ECC_BLOCKS[ecIndex][version];
+    const eccLength = QR_ECC_PER_BLOCK[ecIndex][version];
+    const rawCodewords = Math.floor(getQRRawModules(version) / 8);
+    const numShortBlocks = numBlocks - (rawCodewords % numBlocks);
+    const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+    const divisor = getReedSolomonDivisor(eccLength);
+
+    const blocks = [];
+    for (let i = 0, k = 0; i < numBlocks; i++) {
+      const block = data.slice(
+        k,
+        k + shortBlockLength - eccLength + (i < numShortBlocks ? 0 : 1)
+      );
+      k += block.length;
+      const ecc = getReedSolomonRemainder(block, divisor);
+      // Short blocks get a placeholder so every block has the same length
+      if (i < numShortBlocks) block.push(0);
+      blocks.push(block.concat(ecc));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+      blocks.forEach((block, j) => {
+        if (i !== shortBlockLength - eccLength || j >= numShortBlocks) {
+          result.push(block[i]);
+        }
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Centre positions of the alignment patterns for a version
+   */
+  function getQRAlignmentPositions(version, size) {
+    if (version === 1) return [];
+    const numAlign = Math.floor(version / 7) + 2;
+    const step =
+      Math.floor((version * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+    const result = [6];
+    for (let pos = size - 7; result.length < numAlign; pos -= step) {
+      result.splice(1, 0, pos);
+    }
+    return result;
+  }
+
+  /**
+   * Whether mask pattern 0-7 inverts the module at (x, y)
+   */
+  function isQRMasked(mask, x, y) {
+    switch (mask) {
+      case 0:
+        return (x + y) % 2 === 0;
+      case 1:
+        return y % 2 === 0;
+      case 2:
+        return x % 3 === 0;
+      case 3:
+        return (x + y) % 3 === 0;
+      case 4:
+        return (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0;
+      case 5:
+        return ((x * y) % 2) + ((x * y) % 3) === 0;
+      case 6:
+        return (((x * y) % 2) + ((x * y) % 3)) % 2 === 0;
+      default:
+        return (((x + y) % 2) + ((x * y) % 3)) % 2 === 0;
+    }
+  }
+
+  /**
+   * Penalty score of a finished symbol; the mask with the lowest wins
+   */
+  function getQRPenalty(modules) {
+    const size = modules.length;
+    let penalty = 0;
+    let dark = 0;
+    const finderLike = [
+      [1, 0, 1, 1, 1, 0, 1, 0, 0, 0, 0],
+      [0, 0, 0, 0, 1, 0, 1, 1, 1, 0, 1],
+    ];
+
+    const scanLine = (get) => {
+      let runColor = null;
+      let runLength = 0;
+      for (let i = 0; i < size; i++) {
+        const color = get(i);
+        if (color === runColor) {
+          runLength++;
+          if (runLength === 5) penalty += 3;
+          else if (runLength > 5) penalty++;
+        } else {
+          runColor = color;
+          runLength = 1;
+        }
+        if (i + 11 <= size) {
+          finderLike.forEach((pattern) => {
+            if (pattern.every((bit, k) => get(i + k) === Boolean(bit))) {
+              penalty += 40;
+            }
+          });
+        }
+      }
+    };
+
+    for (let y = 0; y < size; y++) {
+      scanLine((x) => modules[y][x]);
+      scanLine((x) => modules[x][y]);
+      for (let x = 0; x < size; x++) {
+        if (modules[y][x]) dark++;
+        if (
+          x + 1 < size &&
+          y + 1 < size &&
+          modules[y][x] === modules[y][x + 1] &&
+          modules[y][x] === modules[y + 1][x] &&
+          modules[y][x] === modules[y + 1][x + 1]
+        ) {
+          penalty += 3;
+        }
+      }
+    }
+
+    const total = size * size;
+    const k = Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1;
+    return penalty + Math.max(0, k) * 10;
+  }
+
+  /**
+   * Encode text as a QR symbol using the smallest version that fits.
+   * Returns { version, size, ecLevel, mask, modules } where modules[y][x] is
+   * true for dark; throws when the text is too long for maxVersion.
+   */
+  function encodeQR(text, { ecLevel = "M", minVersion = 1, maxVersion = 40 } = {}) {
+    const ec = QR_EC_LEVELS[ecLevel];
+    if (!ec) throw new Error(`Unknown QR error correction level "${ecLevel}"`);
+
+    const segment = makeQRSegment(String(text));
+    let version = minVersion;
+    let modeInfo;
+    for (; version <= maxVersion; version++) {
+      modeInfo = getQRModeInfo(segment.mode, version);
+      const usedBits = 4 + modeInfo.countBits + segment.bits.length;
+      if (
+        segment.count < 1 << modeInfo.countBits &&
+        usedBits <= getQRDataCodewords(version, ec.index) * 8
+      ) {
+        break;
+      }
+    }
+    if (version > maxVersion) {
+      throw new Error("Text is too long to fit in a QR code");
+    }
+
+    // Header, data, terminator and padding up to the data capacity
+    const capacityBits = getQRDataCodewords(version, ec.index) * 8;
+    const bits = [];
+    const append = (value, length) => {
+      for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+    append(modeInfo.indicator, 4);
+    append(segment.count, modeInfo.countBits);
+    bits.push(...segment.bits);
+    append(0, Math.min(4, capacityBits - bits.length));
+    append(0, (8 - (bits.length % 8)) % 8);
+    for (let pad = 0xec; bits.length < capacityBits; pad ^= 0xec ^ 0x11) {
+      append(pad, 8);
+    }
+
+    const data = [];
+    for (let i = 0; i < bits.length; i += 8) {
+      data.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    const codewords = addQRErrorCorrection(data, version, ec.index);
+
+    // Function patterns
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+    const setFunction = (x, y, dark) => {
+      modules[y][x] = dark;
+      isFunction[y][x] = true;
+    };
+
+    for (let i = 0; i < size; i++) {
+      setFunction(6, i, i % 2 === 0);
+      setFunction(i, 6, i % 2 === 0);
+    }
+
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const x = cx + dx;
+          const y = cy + dy;
+          if (x < 0 || x >= size || y < 0 || y >= size) continue;
+          const dist = Math.max(Math.abs(dx), Math.abs(dy));
+          setFunction(x, y, dist !== 2 && dist !== 4);
+        }
+      }
+    });
+
+    const alignment = getQRAlignmentPositions(version, size);
+    const last = alignment.length - 1;
+    alignment.forEach((cx, i) => {
+      alignment.forEach((cy, j) => {
+        // Skip the three corners taken by finder patterns
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) {
+          return;
+        }
+        for (let dy = -2; dy <= 2; dy++) {
+          for (let dx = -2; dx <= 2; dx++) {
+            setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+          }
+        }
+      });
+    });
+
+    const drawFormatBits = (mask) => {
+      const value = (ec.formatBits << 3) | mask;
+      let rem = value;
+      for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+      const format = ((value << 10) | rem) ^ 0x5412;
+      const bit = (i) => ((format >>> i) & 1) !== 0;
+
+      for (let i = 0; i <= 5; i++) setFunction(8, i, bit(i));
+      setFunction(8, 7, bit(6));
+      setFunction(8, 8, bit(7));
+      setFunction(7, 8, bit(8));
+      for (let i = 9; i < 15; i++) setFunction(14 - i, 8, bit(i));
+      for (let i = 0; i < 8; i++) setFunction(size - 1 - i, 8, bit(i));
+      for (let i = 8; i < 15; i++) setFunction(8, size - 15 + i, bit(i));
+      setFunction(8, size - 8, true);
+    };
+    // Reserve the format areas before placing data
+    drawFormatBits(0);
+
+    if (version >= 7) {
+      let rem = version;
+      for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+      const versionBits = (version << 12) | rem;
+      for (let i = 0; i < 18; i++) {
+        const dark = ((versionBits >>> i) & 1) !== 0;
+        const a = size - 11 + (i % 3);
+        const b = Math.floor(i / 3);
+        setFunction(a, b, dark);
+        setFunction(b, a, dark);
+      }
+    }
+
+    // Data in a zigzag from the bottom-right, skipping the timing column
+    let bitIndex = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      for (let vert = 0; vert < size; vert++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? size - 1 - vert : vert;
+          if (!isFunction[y][x] && bitIndex < codewords.length * 8) {
+            modules[y][x] = ((codewords[bitIndex >>> 3] >>> (7 - (bitIndex & 7))) & 1) !== 0;
+            bitIndex++;
+          }
+        }
+      }
+    }
+
+    const applyMask = (mask) => {
+      for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+          if (!isFunction[y][x] && isQRMasked(mask, x, y)) {
+            modules[y][x] = !modules[y][x];
+          }
+        }
+      }
+    };
+
+    // Try every mask and keep the one with the lowest penalty
+    let bestMask = 0;
+    let bestPenalty = Infinity;
+    for (let mask = 0; mask < 8; mask++) {
+      applyMask(mask);
+      drawFormatBits(mask);
+      const penalty = getQRPenalty(modules);
+      if (penalty < bestPenalty) {
+        bestMask = mask;
+        bestPenalty = penalty;
+      }
+      applyMask(mask); // XOR again to undo
+    }
+    applyMask(bestMask);
+    drawFormatBits(bestMask);
+
+    return { version, size, ecLevel, mask: bestMask, modules };
+  }
+
+  /**
+   * Draw a QR symbol onto a canvas with a quiet zone of `margin` modules
+   */
+  function renderQRToCanvas(qr, canvas, { scale = 8, margin = 4, dark = "#000000", light = "#ffffff" } = {}) {
+    const dimension = (qr.size + margin * 2) * scale;
+    canvas.width = dimension;
+    canvas.height = dimension;
+
+    const ctx = canvas.getContext("2d");
+    ctx.fillStyle = light;
+    ctx.fillRect(0, 0, dimension, dimension);
+    ctx.fillStyle = dark;
+    qr.modules.forEach((row, y) => {
+      row.forEach((isDark, x) => {
+        if (isDark) {
+          ctx.fillRect((x + margin) * scale, (y + margin) * scale, scale, scale);
+        }
+      });
+    });
+    return canvas;
+  }
+
+  /**
+   * SVG markup for a QR symbol (one path, scales without blurring)
+   */
+  function renderQRToSVG(qr, { margin = 4, dark = "#000000", light = "#ffffff" } = {}) {
+    const dimension = qr.size + margin * 2;
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dimension} ${dimension}" shape-rendering="crispEdges"><rect width="100%" height="100%" fill="${light}"/><path d="${getQRSVGPath(
+      qr,
+      margin
+    )}" fill="${dark}"/></svg>`;
+  }
+
+  /**
+   * SVG path data for the dark modules, one unit per module
+   */
+  function getQRSVGPath(qr, margin) {
+    let path = "";
+    qr.modules.forEach((row, y) => {
+      row.forEach((isDark, x) => {
+        if (isDark) path += `M${x + margin},${y + margin}h1v1h-1z`;
+      });
+    });
+    return path;
+  }
+
+  // ============================================
+  // QR CODE FUNCTIONALITY
+  // ============================================
+
+  // Account shown in the QR modal (re-rendered when the options change)
+  let qrAccount = null;
+  // Symbol currently on screen, reused by the image exports
+  let qrRendered = null;
+  // PNG of that symbol, rendered ahead of Share Image (resolves null on failure)
+  let qrImagePNG = null;
+  // Accounts the modal steps through (several when opened from a selection)
+  let qrQueue = [];
+
+  /**
+   * Show QR code modal for an account, prefilled from a payment request
+   */
+  function showQRModal(account, request = null, queue = [account]) {
+    const modal = DOM.qrModal;
+    const display = DOM.qrDisplay;
+    const info = DOM.qrAccountInfo;
+
+    if (!modal || !display || !info) return;
+
+    if (!account.iban && !account.acc_no) {
+      showToast("No account number or IBAN available for QR code", "error");
+      return;
+    }
+
+    qrAccount = account;
+    qrQueue = queue;
+    if (DOM.qrForm) {
+      DOM.qrForm.reset();
+      if (request) {
+        DOM.qrAmount.value = request.amount;
+        DOM.qrReference.value = request.reference;
+        DOM.qrNote.value = request.note;
+      }
+    }
+    if (DOM.qrCopyLinkBtn) DOM.qrCopyLinkBtn.hidden = !isOwnerMode;
+    updateQRQueueNav();
+    renderQRCode();
+
+    // Show modal (stepping through a queue keeps it open)
+    if (modal.getAttribute("aria-hidden") !== "false") {
+      modal.setAttribute("aria-hidden", "false");
+      setupModalFocusTrap(modal);
+    }
+  }
+
+  /**
+   * Show QR codes for several accounts, one at a time, prefilled from a
+   * payment request
+   */
+  function showQRQueue(accounts, request = null) {
+    const payable = accounts.filter((account) => account.iban || account.acc_no);
+    if (payable.length === 0) {
+      showToast("No account number or IBAN available for QR code", "error");
+      return;
+    }
+    showQRModal(payable[0], request, payable);
+  }
+
+  /**
+   * Move to the previous (-1) or next (1) account in the QR queue, keeping
+   * the amount and reference entered
+   */
+  function stepQRQueue(offset) {
+    const count = qrQueue.length;
+    if (count < 2) return;
+    const index = qrQueue.indexOf(qrAccount);
+    showQRModal(qrQueue[(index + offset + count) % count], getQRRequest(), qrQueue);
+  }
+
+  /**
+   * Show the queue position and previous/next buttons for several accounts
+   */
+  function updateQRQueueNav() {
+    if (!DOM.qrQueueNav) return;
+    DOM.qrQueueNav.hidden = qrQueue.length < 2;
+    DOM.qrQueuePosition.textContent = `${qrQueue.indexOf(qrAccount) + 1} of ${qrQueue.length}`;
+  }
+
+  /**
+   * QR format chosen in the QR modal: plain text unless Raast was opted
+   * into (its payee identifier isn't a published one, see RAAST_GUI) and
+   * the account can be paid through Raast
+   * Used for every QR the app draws: modal, payer view, images and PDFs
+   */
+  function getQRMode(account) {
+    return readSetting(CONFIG.QR_MODE_KEY) === "raast" && canUseRaastQR(account)
+      ? "raast"
+      : "text";
+  }
+
+  /**
+   * Payload for an account's QR in the chosen format
+   */
+  function buildPaymentQRData(account, request) {
+    return getQRMode(account) === "raast"
+      ? buildRaastPayload(account, request)
+      : buildPlainQRText(account, request);
+  }
+
+  /**
+   * Amount, reference and note currently entered in the QR modal
+   */
+  function getQRRequest() {
+    return {
+      amount: DOM.qrAmount ? DOM.qrAmount.value.trim() : "",
+      reference: DOM.qrReference ? DOM.qrReference.value.trim() : "",
+      note: DOM.qrNote ? DOM.qrNote.value.trim() : "",
+    };
+  }
+
+  /**
+   * Render the QR for the current account with the chosen format and
+   * payment request details
+   */
+  function renderQRCode() {
+    const account = qrAccount;
+    if (!account || !DOM.qrDisplay) return;
+
+    const mode = getQRMode(account);
+    const isRaast = mode === "raast";
+    const request = getQRRequest();
+    const amountError = validatePaymentAmount(request.amount);
+
+    if (DOM.qrModeButtons) {
+      DOM.qrModeButtons.forEach((btn) => {
+        const btnMode = btn.getAttribute("data-qr-mode");
+        btn.setAttribute("aria-pressed", String(btnMode === mode));
+        btn.disabled = btnMode === "raast" && !canUseRaastQR(account);
+      });
+    }
+    if (DOM.qrAmount) {
+      if (amountError) DOM.qrAmount.setAttribute("aria-invalid", "true");
+      else DOM.qrAmount.removeAttribute("aria-invalid");
+    }
+    if (DOM.qrErrors) {
+      DOM.qrErrors.innerHTML = amountError ? `<li>${sanitize(amountError)}</li>` : "";
+    }
+    qrRendered = null;
+    qrImagePNG = null;
+    updateQRExportButtons();
+    if (amountError) return;
+
+    const qrData = buildPaymentQRData(account, request);
+    const amountText = request.amount
+      ? ` - ${formatAmount(request.amount, account.currency)}`
+      : "";
+
+    DOM.qrAccountInfo.textContent = isRaast
+      ? `${account.bank} - ${account.title}${amountText} (unofficial Raast format: not every banking app reads it)`
+      : canUseRaastQR(account)
+      ? `${account.bank} - ${account.iban || account.acc_no}${amountText}`
+      : `${account.bank} - ${account.iban || account.acc_no}${amountText} (plain text: Raast needs a valid PKR IBAN or Raast ID)`;
+
+    qrRendered = generateQRCode(qrData, DOM.qrDisplay);
+    if (qrRendered) prepareQRImagePNG(account, qrRendered);
+    updateQRExportButtons();
+  }
+
+  /**
+   * Wire up the QR format toggle and the amount/reference fields
+   */
+  function setupQRForm() {
+    if (!DOM.qrForm) return;
+
+    DOM.qrModeButtons.forEach((btn) => {
+      btn.addEventListener("click", () => {
+        saveSetting(CONFIG.QR_MODE_KEY, btn.getAttribute("data-qr-mode"));
+        renderQRCode();
+      });
+    });
+
+    DOM.qrForm.addEventListener(
+      "input",
+      debounce(renderQRCode, CONFIG.DEBOUNCE_DELAY)
+    );
+    if (DOM.qrQueueNav) {
+      DOM.qrQueueNav.addEventListener("click", (e) => {
+        const button = e.target.closest("[data-qr-step]");
+        if (button) stepQRQueue(Number(button.getAttribute("data-qr-step")));
+      });
+    }
+    DOM.qrForm.addEventListener("submit", (e) => {
+      e.preventDefault();
+      renderQRCode();
+    });
+
+    if (DOM.qrCopyLinkBtn) {
+      DOM.qrCopyLinkBtn.addEventListener("click", () => {
+        const request = getQRRequest();
+        const amountError = validatePaymentAmount(request.amount);
+        if (!qrAccount || amountError) return;
+        copyToClipboard(
+          buildPaymentRequestURL(qrAccount, request),
+          request.amount || request.reference ? "Payment request link" : "Share link"
+        );
+      });
+    }
+  }
+
+  /**
+   * Render a QR code into a container with the built-in encoder: canvas
+   * where available, SVG otherwise. Nothing is sent over the network.
+   */
+  function generateQRCode(data, container) {
+    let qr;
+    try {
+      qr = encodeQR(data, { ecLevel: CONFIG.QR_EC_LEVEL });
+    } catch (error) {
+      log("QR encoding failed:", error);
+      container.innerHTML =
+        '<div style="display: flex; align-items: center; justify-content: center; height: 200px; color: var(--danger);">Failed to generate QR code</div>';
+      return null;
+    }
+
+    const canvas = document.createElement("canvas");
+    if (canvas.getContext && canvas.getContext("2d")) {
+      renderQRToCanvas(qr, canvas);
+      canvas.setAttribute("role", "img");
+      canvas.setAttribute("aria-label", "QR Code");
+      container.innerHTML = "";
+      container.appendChild(canvas);
+    } else {
+      container.innerHTML = renderQRToSVG(qr);
+      const svg = container.querySelector("svg");
+      svg.setAttribute("role", "img");
+      svg.setAttribute("aria-label", "QR Code");
+    }
+    return qr;
+  }
+
+  /**
+   * Close QR modal
+   */
+  function closeQRModal() {
+    const modal = DOM.qrModal;
+    if (modal) {
+      modal.setAttribute("aria-hidden", "true");
+    }
+    qrAccount = null;
+    qrRendered = null;
+    qrImagePNG = null;
+  }
+
+  /**
+   * Close help modal
+   */
+  function closeHelpModal() {
+    const modal = DOM.helpModal;
+    if (modal) {
+      modal.setAttribute("aria-hidden", "true");
+    }
+  }
+
+  /**
+   * Close every open modal
+   */
+  function closeAllModals() {
+    closeQRModal();
+    closeHelpModal();
+    closeEditorModal();
+    closeImportModal();
+    closeExportModal();
+    closeDocumentModal();
+    closePDFScopeModal();
+    closeShareModal();
+    closeVaultModal();
+    closePassphraseModal();
+  }
+
+  /**
+   * Setup focus trap inside modal
+   */
+  function setupModalFocusTrap(modal) {
+    const focusableElements = modal.querySelectorAll(
+      'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
+    );
+    const firstElement = focusableElements[0];
+    const lastElement = focusableElements[focusableElements.length - 1];
+
+    // Focus first element
+    if (firstElement) {
+      firstElement.focus();
+    }
+
+    // Trap focus within modal
+    const handleKeyDown = (e) => {
+      if (e.key === "Tab") {
+        if (e.shiftKey) {
+          if (document.activeElement === firstElement) {
+            e.preventDefault();
+            lastElement.focus();
+          }
+        } else {
+          if (document.activeElement === lastElement) {
+            e.preventDefault();
+            firstElement.focus();
+          }
+        }
+      } else if (e.key === "Escape") {
+        closeAllModals();
+      }
+    };
+
+    modal.addEventListener("keydown", handleKeyDown);
+
+    // Remove listener when modal closes
+    const observer = new MutationObserver((mutations) => {
+      mutations.forEach((mutation) => {
+        if (
+          mutation.attributeName === "aria-hidden" &&
+          modal.getAttribute("aria-hidden") === "true"
+        ) {
+          modal.removeEventListener("keydown", handleKeyDown);
+          observer.disconnect();
+        }
+      });
+    });
+
+    observer.observe(modal, { attributes: true });
+  }
+
+  // ============================================
+  // QR IMAGE EXPORT (PNG, SVG, share)
+  // ============================================
+
+  // Pixels per module in exported images
+  const QR_IMAGE_SCALE = 10;
+  // Caption lines under the exported QR: bank, title, masked number
+  const QR_CAPTION_STYLES = [
+    { size: 26, weight: "bold", family: "Arial, sans-serif" },
+    { size: 22, weight: "normal", family: "Arial, sans-serif" },
+    { size: 20, weight: "normal", family: "monospace" },
+  ];
+
+  /**
+   * Enable the export buttons only while a QR code is shown
+   */
+  function updateQRExportButtons() {
+    if (!DOM.qrExportButtons) return;
+    DOM.qrExportButtons.forEach((btn) => {
+      btn.disabled = !qrRendered;
+    });
+  }
+
+  /**
+   * Caption for an exported QR: bank name, account title and the masked
+   * IBAN (or account number when there is no IBAN)
+   */
+  function getQRCaption(account) {
+    let number;
+    if (account.iban) {
+      number = maskIBAN(account.iban);
+    } else if (account.isWallet && !account.walletError) {
+      number = maskMobileNumber(account.acc_no);
+    } else {
+      number = maskAccountNumber(account.acc_no);
+    }
+    return [account.bank, account.title, number].map((line) =>
+      String(line || "").slice(0, 40)
+    );
+  }
+
+  /**
+   * Size and position of the QR and caption lines in an exported image
+   */
+  function getQRImageLayout(qr, caption) {
+    const qrSize = (qr.size + 8) * QR_IMAGE_SCALE;
+    const width = Math.max(qrSize, 400);
+    let y = qrSize;
+    const lines = caption.map((text, i) => {
+      const style = QR_CAPTION_STYLES[i];
+      y += Math.round(style.size * 1.4);
+      return { ...style, text, y };
+    });
+    return { width, height: y + 24, qrSize, qrX: (width - qrSize) / 2, lines };
+  }
+
+  /**
+   * Exported image as SVG markup (QR plus caption)
+   * Standalone SVG is XML, so HTML-only entities like &nbsp; are avoided
+   */
+  function createQRImageSVG(qr, caption) {
+    const layout = getQRImageLayout(qr, caption);
+    const text = layout.lines
+      .map(
+        (line) =>
+          `<text x="${layout.width / 2}" y="${line.y}" text-anchor="middle" font-family="${line.family}" font-size="${line.size}" font-weight="${line.weight}" fill="#000000">${sanitize(
+            line.text
+          ).replace(/&nbsp;/g, "&#160;")}</text>`
+      )
+      .join("");
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${layout.width}" height="${layout.height}" viewBox="0 0 ${layout.width} ${layout.height}"><rect width="100%" height="100%" fill="#ffffff"/><g transform="translate(${layout.qrX} 0) scale(${QR_IMAGE_SCALE})" shape-rendering="crispEdges"><path d="${getQRSVGPath(
+      qr,
+      4
+    )}" fill="#000000"/></g>${text}</svg>`;
+  }
+
+  /**
+   * Exported image as a PNG Blob (QR plus caption)
+   * Rejects when the browser has no canvas support
+   */
+  function createQRImagePNG(qr, caption) {
+    const layout = getQRImageLayout(qr, caption);
+    const canvas = document.createElement("canvas");
+    const ctx = canvas.getContext && canvas.getContext("2d");
+    if (!ctx) {
+      return Promise.reject(new Error("Canvas is not supported"));
+    }
+
+    canvas.width = layout.width;
+    canvas.height = layout.height;
+    ctx.fillStyle = "#ffffff";
+    ctx.fillRect(0, 0, layout.width, layout.height);
+    ctx.drawImage(
+      renderQRToCanvas(qr, document.createElement("canvas"), {
+        scale: QR_IMAGE_SCALE,
+      }),
+      layout.qrX,
+      0
+    );
+
+    ctx.fillStyle = "#000000";
+    ctx.textAlign = "center";
+    layout.lines.forEach((line) => {
+      ctx.font = `${line.weight} ${line.size}px ${line.family}`;
+      ctx.fillText(line.text, layout.width / 2, line.y);
+    });
+
+    return new Promise((resolve, reject) => {
+      canvas.toBlob((blob) =>
+        blob ? resolve(blob) : reject(new Error("PNG encoding failed"))
+      );
+    });
+  }
+
+  /**
+   * Start rendering the PNG for the QR on screen
+   * Done when the QR is rendered rather than on the Share Image tap:
+   * toBlob can take long enough for the browser to stop allowing
+   * navigator.share
+   */
+  function prepareQRImagePNG(account, qr) {
+    qrImagePNG = createQRImagePNG(qr, getQRCaption(account)).catch((error) => {
+      log("PNG export failed:", error);
+      return null;
+    });
+  }
+
+  /**
+   * Download filename for the QR of an account
+   */
+  function getQRFilename(account, extension) {
+    return `${safeFilename(`QR_${account.bank}_${account.title}`)}.${extension}`;
+  }
+
+  /**
+   * Download the QR on screen as SVG or PNG, or share it as a PNG
+   */
+  async function exportQRImage(format) {
+    const account = qrAccount;
+    const qr = qrRendered;
+    if (!account || !qr) return;
+
+    const caption = getQRCaption(account);
+
+    if (format === "svg") {
+      const blob = new Blob([createQRImageSVG(qr, caption)], {
+        type: "image/svg+xml",
+      });
+      downloadBlob(blob, getQRFilename(account, "svg"));
+      showToast("QR code downloaded", "success");
+      return;
+    }
+
+    const blob = await qrImagePNG;
+    if (!blob) {
+      showToast("This browser can't create PNG images. Try Download SVG.", "error");
+      return;
+    }
+    const filename = getQRFilename(account, "png");
+
+    if (format === "share") {
+      await shareImageBlob(blob, filename, `${account.bank} - ${account.title}`, "QR code");
+      return;
+    }
+
+    downloadBlob(blob, filename);
+    showToast("QR code downloaded", "success");
+  }
+
+  /**
+   * Share a PNG with the Web Share API, downloading it where files can't
+   * be shared (label names it in messages, e.g. "QR code")
+   */
+  async function shareImageBlob(blob, filename, title, label) {
+    const file = new File([blob], filename, { type: "image/png" });
+    if (navigator.canShare && navigator.canShare({ files: [file] })) {
+      try {
+        await navigator.share({ files: [file], title });
+        showToast("Shared successfully", "success");
+      } catch (error) {
+        if (error.name === "NotAllowedError") {
+          // The browser no longer treats the share as a response to the tap
+          downloadBlob(blob, filename);
+          showToast(`Sharing was blocked, so the ${label} was downloaded`, "warning");
+        } else if (error.name !== "AbortError") {
+          log("Image share failed:", error);
+          showToast(`Failed to share ${label}`, "error");
+        }
+      }
+      return;
+    }
+    downloadBlob(blob, filename);
+    showToast(`Sharing images isn't supported here, so the ${label} was downloaded`, "warning");
+  }
+
+  /**
+   * Wire up the QR modal's Download PNG / Download SVG / Share Image buttons
+   */
+  function setupQRExport() {
+    if (!DOM.qrExportButtons) return;
+    DOM.qrExportButtons.forEach((btn) => {
+      btn.addEventListener("click", () =>
+        exportQRImage(btn.getAttribute("data-qr-export"))
+      );
+    });
+  }
+
+  // ============================================
+  // ACCOUNT IMAGE CARD
+  // ============================================
+  // "Share as image" draws the accounts as cards on a canvas, with full
+  // numbers (unlike a screenshot of the masked cards) and optionally the QR.
+
+  // Logical width of the image; drawn at 2x for sharp text
+  const CARD_IMAGE_WIDTH = 640;
+  const CARD_IMAGE_PIXEL_RATIO = 2;
+  const CARD_IMAGE_PADDING = 32;
+  const CARD_IMAGE_FONTS = {
+    sans: 'system-ui, -apple-system, "Segoe UI", Roboto, Arial, sans-serif',
+    mono: '"SF Mono", Menlo, Consolas, "Courier New", monospace',
+  };
+  // Black on white, for printing or low-quality screens
+  const CARD_IMAGE_PRINT_PALETTE = {
+    bg: "#ffffff",
+    card: "#ffffff",
+    text: "#000000",
+    muted: "#444444",
+    border: "#000000",
+    accent: "#000000",
+    danger: "#000000",
+  };
+
+  /**
+   * Colours for the image: the current theme's CSS variables, or the print
+   * palette
+   */
+  function getCardImagePalette(name) {
+    if (name === "print") return CARD_IMAGE_PRINT_PALETTE;
+
+    const styles = getComputedStyle(document.documentElement);
+    const read = (prop, fallback) => styles.getPropertyValue(prop).trim() || fallback;
+    return {
+      bg: read("--bg", "#f5f5f5"),
+      card: read("--card-bg", "#ffffff"),
+      text: read("--text", "#111111"),
+      muted: read("--muted", "#666666"),
+      border: read("--border", "#e0e0e0"),
+      accent: read("--accent", "#0b74de"),
+      danger: read("--danger", "#d9534f"),
+    };
+  }
+
+  /**
+   * Split text into lines that fit maxWidth in the context's current font
+   */
+  function wrapCanvasText(ctx, text, maxWidth) {
+    const lines = [];
+    let line = "";
+    String(text)
+      .split(/\s+/)
+      .forEach((word) => {
+        const candidate = line ? `${line} ${word}` : word;
+        if (line && ctx.measureText(candidate).width > maxWidth) {
+          lines.push(line);
+          line = word;
+        } else {
+          line = candidate;
+        }
+      });
+    if (line) lines.push(line);
+    return lines;
+  }
+
+  /**
+   * Rounded rectangle path (CanvasRenderingContext2D.roundRect is too new
+   * to rely on)
+   */
+  function roundedRectPath(ctx, x, y, width, height, radius) {
+    ctx.beginPath();
+    ctx.moveTo(x + radius, y);
+    ctx.arcTo(x + width, y, x + width, y + height, radius);
+    ctx.arcTo(x + width, y + height, x, y + height, radius);
+    ctx.arcTo(x, y + height, x, y, radius);
+    ctx.arcTo(x, y, x + width, y, radius);
+    ctx.closePath();
+  }
+
+  /**
+   * Everything drawn for one account, as { height, draw(y) }
+   * Measuring first lets the canvas be sized before anything is drawn
+   */
+  function layoutAccountImageCard(ctx, account, { request, palette, logo, includeQR }) {
+    const x = CARD_IMAGE_PADDING;
+    const width = CARD_IMAGE_WIDTH - CARD_IMAGE_PADDING * 2;
+    const inner = width - 48;
+    const ops = [];
+    let y = 24;
+
+    // Header: logo (or initials) with bank name and account title
+    const headerTop = y;
+    ops.push((top) => {
+      roundedRectPath(ctx, x + 24, top + headerTop, 64, 64, 12);
+      if (logo) {
+        ctx.fillStyle = "#ffffff";
+        ctx.fill();
+        const ratio = getImageRatio(logo);
+        const logoWidth = ratio >= 1 ? 52 : 52 * ratio;
+        const logoHeight = ratio >= 1 ? 52 / ratio : 52;
+        ctx.drawImage(logo, x + 56 - logoWidth / 2, top + headerTop + 32 - logoHeight / 2, logoWidth, logoHeight);
+      } else {
+        ctx.fillStyle = palette === CARD_IMAGE_PRINT_PALETTE ? "#000000" : account.brandColor || "#4a5568";
+        ctx.fill();
+        ctx.fillStyle = "#ffffff";
+        ctx.font = `bold 22px ${CARD_IMAGE_FONTS.sans}`;
+        ctx.textAlign = "center";
+        ctx.fillText(getBankInitials(account.bank), x + 56, top + headerTop + 40);
+        ctx.textAlign = "left";
+      }
+      ctx.fillStyle = palette.text;
+      ctx.font = `bold 26px ${CARD_IMAGE_FONTS.sans}`;
+      ctx.fillText(account.bank, x + 104, top + headerTop + 28);
+      ctx.fillStyle = palette.muted;
+      ctx.font = `20px ${CARD_IMAGE_FONTS.sans}`;
+      ctx.fillText(account.title, x + 104, top + headerTop + 56);
+    });
+    y += 88;
+
+    // Detail rows: small label above the full value
+    const rows = getPDFDetailRows(account).filter((row) => row.label !== "Note:");
+    if (request.amount) {
+      rows.push({ label: "Amount:", value: formatAmount(request.amount, account.currency), accent: true });
+    }
+    if (request.reference) {
+      rows.push({ label: "Reference:", value: request.reference, mono: true, accent: true });
+    }
+    rows.forEach((row) => {
+      const font = row.mono ? `bold 24px ${CARD_IMAGE_FONTS.mono}` : `bold 22px ${CARD_IMAGE_FONTS.sans}`;
+      ctx.font = font;
+      const lines = wrapCanvasText(ctx, row.value, inner);
+      const rowTop = y;
+      ops.push((top) => {
+        ctx.fillStyle = palette.muted;
+        ctx.font = `16px ${CARD_IMAGE_FONTS.sans}`;
+        ctx.fillText(row.label.replace(/:$/, ""), x + 24, top + rowTop + 16);
+        ctx.fillStyle = row.accent ? palette.accent : palette.text;
+        ctx.font = font;
+        lines.forEach((line, i) => ctx.fillText(line, x + 24, top + rowTop + 46 + i * 30));
+      });
+      y += 30 + lines.length * 30 + 8;
+    });
+
+    // Warnings in the danger colour
+    getPDFWarnings(account).forEach((warning) => {
+      ctx.font = `bold 17px ${CARD_IMAGE_FONTS.sans}`;
+      const lines = wrapCanvasText(ctx, warning, inner);
+      const warningTop = y;
+      ops.push((top) => {
+        ctx.fillStyle = palette.danger;
+        ctx.font = `bold 17px ${CARD_IMAGE_FONTS.sans}`;
+        lines.forEach((line, i) => ctx.fillText(line, x + 24, top + warningTop + 18 + i * 24));
+      });
+      y += lines.length * 24 + 12;
+    });
+
+    // QR on a white tile so it scans in dark mode too
+    if (includeQR && (account.iban || account.acc_no)) {
+      const isRaast = getQRMode(account) === "raast";
+      const qr = encodeQR(buildPaymentQRData(account, request), {
+        ecLevel: CONFIG.QR_EC_LEVEL,
+      });
+      const qrSize = 240;
+      const qrTop = y + 8;
+      ops.push((top) => {
+        const qrCanvas = renderQRToCanvas(qr, document.createElement("canvas"), { scale: 8, margin: 3 });
+        ctx.imageSmoothingEnabled = false;
+        ctx.drawImage(qrCanvas, x + (width - qrSize) / 2, top + qrTop, qrSize, qrSize);
+        ctx.imageSmoothingEnabled = true;
+        ctx.fillStyle = palette.muted;
+        ctx.font = `16px ${CARD_IMAGE_FONTS.sans}`;
+        ctx.textAlign = "center";
+        ctx.fillText(
+          isRaast ? RAAST_QR_CAPTION : "Scan for the account number",
+          x + width / 2,
+          top + qrTop + qrSize + 24
+        );
+        ctx.textAlign = "left";
+      });
+      y = qrTop + qrSize + 36;
+    }
+
+    const height = y + 16;
+    return {
+      height,
+      draw(top) {
+        roundedRectPath(ctx, x, top, width, height, 16);
+        ctx.fillStyle = palette.card;
+        ctx.fill();
+        ctx.strokeStyle = palette.border;
+        ctx.lineWidth = palette === CARD_IMAGE_PRINT_PALETTE ? 2 : 1;
+        ctx.stroke();
+        ops.forEach((op) => op(top));
+      },
+    };
+  }
+
+  /**
+   * PNG Blob with a card for each account
+   * Rejects when the browser has no canvas support
+   */
+  async function createAccountImagePNG(accounts, { request = {}, palette = "theme", includeQR = true } = {}) {
+    const canvas = document.createElement("canvas");
+    const ctx = canvas.getContext && canvas.getContext("2d");
+    if (!ctx) throw new Error("Canvas is not supported");
+
+    const colors = getCardImagePalette(palette);
+    const logos = await Promise.all(
+      accounts.map((account) => (account.logo ? loadImage(account.logo) : null))
+    );
+    const cards = accounts.map((account, i) =>
+      layoutAccountImageCard(ctx, account, { request, palette: colors, logo: logos[i], includeQR })
+    );
+    const height =
+      cards.reduce((sum, card) => sum + card.height + CARD_IMAGE_PADDING / 2, 0) +
+      CARD_IMAGE_PADDING * 1.5;
+
+    // Resizing resets the context, so set the size before drawing
+    canvas.width = CARD_IMAGE_WIDTH * CARD_IMAGE_PIXEL_RATIO;
+    canvas.height = height * CARD_IMAGE_PIXEL_RATIO;
+    ctx.scale(CARD_IMAGE_PIXEL_RATIO, CARD_IMAGE_PIXEL_RATIO);
+    ctx.textBaseline = "alphabetic";
+    ctx.fillStyle = colors.bg;
+    ctx.fillRect(0, 0, CARD_IMAGE_WIDTH, height);
+
+    let y = CARD_IMAGE_PADDING;
+    cards.forEach((card) => {
+      card.draw(y);
+      y += card.height + CARD_IMAGE_PADDING / 2;
+    });
+
+    return new Promise((resolve, reject) => {
+      canvas.toBlob((blob) =>
+        blob ? resolve(blob) : reject(new Error("PNG encoding failed"))
+      );
+    });
+  }
+
+  /**
+   * Share the accounts as a PNG card, or download it where images can't
+   * be shared (rendering resolves to the PNG, or null when it failed)
+   */
+  async function shareAccountImage(accounts, rendering) {
+    const blob = await rendering;
+    if (!blob) {
+      showToast("This browser can't create images", "error");
+      return;
+    }
+
+    const filename =
+      accounts.length === 1
+        ? `${safeFilename(`${accounts[0].bank}_${accounts[0].title}`)}.png`
+        : "accounts.png";
+    const title =
+      accounts.length === 1
+        ? `${accounts[0].bank} - ${accounts[0].title}`
+        : "Account details";
+    await shareImageBlob(blob, filename, title, "account image");
+  }
+
+  // ============================================
+  // PDF WRITER
+  // ============================================
+  // Minimal PDF 1.4 writer so downloads are real .pdf files: the standard
+  // Helvetica/Courier fonts with WinAnsi text, lines, rectangles, circles
+  // and JPEG images. Coordinates are points from the top-left of the page.
+
+  const PDF_PAGE_SIZES = { a4: [595.28, 841.89], letter: [612, 792] };
+
+  const PDF_FONTS = {
+    regular: { name: "F1", base: "Helvetica" },
+    bold: { name: "F2", base: "Helvetica-Bold" },
+    mono: { name: "F3", base: "Courier" },
+  };
+
+  // Glyph widths (1/1000 em) of ASCII 32-126 from the standard font metrics
+  const PDF_FONT_WIDTHS = {
+    regular: [
+      278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+      556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+      1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+      667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+      333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+      556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+    ],
+    bold: [
+      278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+      556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+      975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+      667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+      333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+      611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+    ],
+  };
+
+  // WinAnsi codes for the typographic characters outside Latin-1
+  const PDF_WINANSI_EXTRAS = {
+    "€": 0x80, "‚": 0x82, "„": 0x84, "…": 0x85, "‘": 0x91, "’": 0x92,
+    "“": 0x93, "”": 0x94, "•": 0x95, "–": 0x96, "—": 0x97, "™": 0x99,
+  };
+
+  /**
+   * Convert text to WinAnsi character codes; anything the standard fonts
+   * can't show becomes "?"
+   */
+  function toWinAnsi(text) {
+    return [...String(text)]
+      .map((ch) => {
+        const code = ch.charCodeAt(0);
+        if (PDF_WINANSI_EXTRAS[ch]) return String.fromCharCode(PDF_WINANSI_EXTRAS[ch]);
+        if ((code >= 0x20 && code <= 0x7e) || (code >= 0xa0 && code <= 0xff)) return ch;
+        return ch === "\t" ? " " : "?";
+      })
+      .join("");
+  }
+
+  /**
+   * Bytes of a string whose characters are all 0-255
+   */
+  function latin1Bytes(text) {
+    const bytes = new Uint8Array(text.length);
+    for (let i = 0; i < text.length; i++) bytes[i] = text.charCodeAt(i) & 0xff;
+    return bytes;
+  }
+
+  /**
+   * "#rrggbb" as PDF colour components (0-1)
+   */
+  function parsePDFColor(hex) {
+    const value = parseInt(String(hex).replace("#", ""), 16) || 0;
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255].map(
+      (channel) => Number((channel / 255).toFixed(3))
+    );
+  }
+
+  /**
+   * Create a PDF document. Draw with text/line/rect/circle/image on the
+   * current page, then call toBlob() for the finished file.
+   */
+  function createPDFWriter({ size = "a4", title = "" } = {}) {
+    const [width, height] = PDF_PAGE_SIZES[size] || PDF_PAGE_SIZES.a4;
+    const pages = [];
+    const images = [];
+    let current = null;
+
+    const num = (n) => String(Number(n.toFixed(2)));
+    const color = (hex, op) => `${parsePDFColor(hex).join(" ")} ${op}`;
+    const escape = (text) => toWinAnsi(text).replace(/[\\()]/g, "\\$&");
+
+    function addPage() {
+      current = [];
+      pages.push(current);
+      return pages.length;
+    }
+
+    function setPage(index) {
+      current = pages[index];
+    }
+
+    function measureText(text, font = "regular", fontSize = 10) {
+      const encoded = toWinAnsi(text);
+      if (font === "mono") return encoded.length * 0.6 * fontSize;
+      const widths = PDF_FONT_WIDTHS[font] || PDF_FONT_WIDTHS.regular;
+      let total = 0;
+      for (let i = 0; i < encoded.length; i++) {
+        const code = encoded.charCodeAt(i);
+        total += code >= 32 && code <= 126 ? widths[code - 32] : 556;
+      }
+      return (total / 1000) * fontSize;
+    }
+
+    /**
+     * Split text into lines no wider than maxWidth, breaking long words
+     */
+    function wrapText(text, maxWidth, font = "regular", fontSize = 10) {
+      const lines = [];
+      String(text)
+        .split(/\r?\n/)
+        .forEach((paragraph) => {
+          let line = "";
+          paragraph.split(/\s+/).forEach((word) => {
+            let candidate = line ? `${line} ${word}` : word;
+            if (measureText(candidate, font, fontSize) <= maxWidth) {
+              line = candidate;
+              return;
+            }
+            if (line) lines.push(line);
+            // Hard-break words wider than the line on their own
+            candidate = word;
+            while (measureText(candidate, font, fontSize) > maxWidth && candidate.length > 1) {
+              let cut = candidate.length - 1;
+              while (cut > 1 && measureText(candidate.slice(0, cut), font, fontSize) > maxWidth) cut--;
+              lines.push(candidate.slice(0, cut));
+              candidate = candidate.slice(cut);
+            }
+            line = candidate;
+          });
+          lines.push(line);
+        });
+      return lines;
+    }
+
+    /**
+     * Draw text with its baseline at y
+     */
+    function text(value, x, y, { font = "regular", size: fontSize = 10, color: fill = "#000000", align = "left" } = {}) {
+      const textWidth = measureText(value, font, fontSize);
+      const dx = align === "center" ? -textWidth / 2 : align === "right" ? -textWidth : 0;
+      current.push(
+        `BT /${PDF_FONTS[font].name} ${num(fontSize)} Tf ${color(fill, "rg")} 1 0 0 1 ${num(
+          x + dx
+        )} ${num(height - y)} Tm (${escape(value)}) Tj ET`
+      );
+    }
+
+    function line(x1, y1, x2, y2, { color: stroke = "#000000", lineWidth = 1 } = {}) {
+      current.push(
+        `q ${color(stroke, "RG")} ${num(lineWidth)} w ${num(x1)} ${num(height - y1)} m ${num(
+          x2
+        )} ${num(height - y2)} l S Q`
+      );
+    }
+
+    function rect(x, y, w, h, { fill = null, stroke = null, lineWidth = 1 } = {}) {
+      const paint = fill && stroke ? "B" : fill ? "f" : "S";
+      current.push(
+        `q ${fill ? color(fill, "rg") : ""} ${stroke ? color(stroke, "RG") : ""} ${num(
+          lineWidth
+        )} w ${num(x)} ${num(height - y - h)} ${num(w)} ${num(h)} re ${paint} Q`
+      );
+    }
+
+    function circle(cx, cy, r, { fill = "#000000" } = {}) {
+      // Four Bézier arcs; k places the control points
+      const k = 0.5523 * r;
+      const y = height - cy;
+      current.push(
+        `q ${color(fill, "rg")} ${num(cx + r)} ${num(y)} m ` +
+          `${num(cx + r)} ${num(y + k)} ${num(cx + k)} ${num(y + r)} ${num(cx)} ${num(y + r)} c ` +
+          `${num(cx - k)} ${num(y + r)} ${num(cx - r)} ${num(y + k)} ${num(cx - r)} ${num(y)} c ` +
+          `${num(cx - r)} ${num(y - k)} ${num(cx - k)} ${num(y - r)} ${num(cx)} ${num(y - r)} c ` +
+          `${num(cx + k)} ${num(y - r)} ${num(cx + r)} ${num(y - k)} ${num(cx + r)} ${num(y)} c f Q`
+      );
+    }
+
+    /**
+     * Draw a JPEG ({ data, width, height } from loadPDFImage)
+     */
+    function image(jpeg, x, y, w, h) {
+      let index = images.indexOf(jpeg);
+      if (index < 0) index = images.push(jpeg) - 1;
+      current.push(
+        `q ${num(w)} 0 0 ${num(h)} ${num(x)} ${num(height - y - h)} cm /Im${index + 1} Do Q`
+      );
+    }
+
+    /**
+     * Serialize the document: objects, cross-reference table and trailer
+     */
+    function toBlob() {
+      const chunks = [];
+      const offsets = [];
+      let offset = 0;
+      const push = (part) => {
+        const bytes = typeof part === "string" ? latin1Bytes(part) : part;
+        chunks.push(bytes);
+        offset += bytes.length;
+      };
+      const object = (id, ...parts) => {
+        offsets[id] = offset;
+        push(`${id} 0 obj\n`);
+        parts.forEach(push);
+        push("\nendobj\n");
+      };
+
+      // 1 catalog, 2 page tree, 3-5 fonts, 6 info, then images, then pages
+      const imageIds = images.map((_, i) => 7 + i);
+      const pageIds = pages.map((_, i) => 7 + images.length + i * 2);
+      const now = new Date();
+      const pad = (n) => String(n).padStart(2, "0");
+      const stamp = `D:${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}${pad(
+        now.getHours()
+      )}${pad(now.getMinutes())}${pad(now.getSeconds())}`;
+
+      push("%PDF-1.4\n%\xe2\xe3\xcf\xd3\n");
+      object(1, "<< /Type /Catalog /Pages 2 0 R >>");
+      object(
+        2,
+        `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${pages.length} >>`
+      );
+      Object.values(PDF_FONTS).forEach((font, i) => {
+        object(
+          3 + i,
+          `<< /Type /Font /Subtype /Type1 /BaseFont /${font.base} /Encoding /WinAnsiEncoding >>`
+        );
+      });
+      object(6, `<< /Title (${escape(title)}) /Producer (Account Details) /CreationDate (${stamp}) >>`);
+
+      images.forEach((jpeg, i) => {
+        object(
+          imageIds[i],
+          `<< /Type /XObject /Subtype /Image /Width ${jpeg.width} /Height ${jpeg.height} ` +
+            `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.data.length} >>\nstream\n`,
+          jpeg.data,
+          "\nendstream"
+        );
+      });
+
+      const fonts = Object.values(PDF_FONTS)
+        .map((font, i) => `/${font.name} ${3 + i} 0 R`)
+        .join(" ");
+      const xObjects = imageIds.map((id, i) => `/Im${i + 1} ${id} 0 R`).join(" ");
+      const resources = `<< /Font << ${fonts} >>${xObjects ? ` /XObject << ${xObjects} >>` : ""} >>`;
+
+      pages.forEach((ops, i) => {
+        const content = latin1Bytes(ops.join("\n"));
+        object(
+          pageIds[i],
+          `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(width)} ${num(height)}] ` +
+            `/Resources ${resources} /Contents ${pageIds[i] + 1} 0 R >>`
+        );
+        object(pageIds[i] + 1, `<< /Length ${content.length} >>\nstream\n`, content, "\nendstream");
+      });
+
+      const xrefOffset = offset;
+      const count = offsets.length;
+      push(`xref\n0 ${count}\n0000000000 65535 f \n`);
+      for (let id = 1; id < count; id++) {
+        push(`${String(offsets[id]).padStart(10, "0")} 00000 n \n`);
+      }
+      push(`trailer\n<< /Size ${count} /Root 1 0 R /Info 6 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+      return new Blob(chunks, { type: "application/pdf" });
+    }
+
+    return {
+      width,
+      height,
+      addPage,
+      setPage,
+      getPageCount: () => pages.length,
+      measureText,
+      wrapText,
+      text,
+      line,
+      rect,
+      circle,
+      image,
+      toBlob,
+    };
+  }
+
+  /**
+   * Load an image for drawing on a canvas; resolves null when it fails or
+   * takes longer than the logo timeout
+   */
+  function loadImage(src) {
+    return new Promise((resolve) => {
+      const img = new Image();
+      let timer = null;
+      const finish = (result) => {
+        clearTimeout(timer);
+        img.onload = null;
+        img.onerror = null;
+        resolve(result);
+      };
+      timer = setTimeout(() => finish(null), CONFIG.LOGO_FALLBACK_TIMEOUT);
+
+      img.onload = () => finish(img);
+      img.onerror = () => finish(null);
+      img.src = src;
+    });
+  }
+
+  /**
+   * Width / height of a loaded image; SVGs with only a viewBox report no
+   * intrinsic size, so they are treated as square
+   */
+  function getImageRatio(img) {
+    return img.naturalWidth && img.naturalHeight
+      ? img.naturalWidth / img.naturalHeight
+      : 1;
+  }
+
+  /**
+   * Rasterize a logo (SVG, PNG or JPG) to a JPEG the PDF writer can embed,
+   * on a white background. Resolves null when it can't be loaded in time
+   * or the browser has no canvas.
+   */
+  async function loadPDFImage(src, size = 192) {
+    const img = await loadImage(src);
+    if (!img) return null;
+
+    try {
+      const canvas = document.createElement("canvas");
+      const ctx = canvas.getContext && canvas.getContext("2d");
+      if (!ctx) return null;
+
+      const ratio = getImageRatio(img);
+      canvas.width = ratio >= 1 ? size : Math.round(size * ratio);
+      canvas.height = ratio >= 1 ? Math.round(size / ratio) : size;
+      ctx.fillStyle = "#ffffff";
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+
+      const base64 = canvas.toDataURL("image/jpeg", 0.92).split(",")[1];
+      return { data: base64ToBytes(base64), width: canvas.width, height: canvas.height };
+    } catch (error) {
+      log("Logo could not be added to the PDF:", src, error);
+      return null;
+    }
+  }
+
+  // ============================================
+  // PDF GENERATION
+  // ============================================
+  // Document templates. Their text and options come from documents.json
+  // (CONFIG.DOCUMENTS_URL) so they can be customized without editing app.js;
+  // DEFAULT_DOCUMENT_SETTINGS fills anything the file leaves out.
+
+  const DEFAULT_DOCUMENT_SETTINGS = {
+    letterhead: { name: "", contact: [], logo: "" },
+    accent_color: "#0b74de",
+    templates: {
+      slip: {
+        title: "Payment Instructions",
+        intro: "Please transfer the payment to the account below.",
+        footer: "",
+        show_qr: true,
+      },
+      invoice: {
+        title: "Invoice",
+        number_prefix: "INV-",
+        due_days: 14,
+        tax_label: "Tax",
+        tax_rate: 0,
+        notes: "Please use the invoice number as the payment reference.",
+        footer: "",
+        show_qr: true,
+      },
+      summary: {
+        title: "Account Summary",
+        intro: "",
+        footer: "",
+      },
+    },
+  };
+
+  const DOCUMENT_TEMPLATES = {
+    slip: "Payment slip",
+    invoice: "Invoice",
+    summary: "Account summary",
+  };
+
+  const PDF_MARGIN = 48;
+
+  let documentSettings = null;
+
+  /**
+   * Load documents.json once, merged over the defaults
+   * A missing or broken file just means the defaults are used
+   */
+  async function loadDocumentSettings() {
+    if (documentSettings) return documentSettings;
+
+    let custom = {};
+    try {
+      const response = await fetch(CONFIG.DOCUMENTS_URL);
+      if (response.ok) custom = await response.json();
+    } catch (error) {
+      log("Using default document settings:", error);
+    }
+
+    const defaults = DEFAULT_DOCUMENT_SETTINGS;
+    const customTemplates = custom.templates || {};
+    documentSettings = {
+      ...defaults,
+      ...custom,
+      letterhead: { ...defaults.letterhead, ...custom.letterhead },
+      templates: Object.fromEntries(
+        Object.entries(defaults.templates).map(([key, template]) => [
+          key,
+          { ...template, ...customTemplates[key] },
+        ])
+      ),
+    };
+    return documentSettings;
+  }
+
+  /**
+   * Label/value rows printed for an account (numbers in a monospace font)
+   */
+  function getPDFDetailRows(account) {
+    return [
+      {
+        label: account.isWallet ? "Wallet No:" : "Account No:",
+        value: account.acc_no ? formatAccountNumber(account) : "",
+        mono: true,
+      },
+      { label: "IBAN:", value: account.iban, mono: true },
+      { label: "SWIFT/BIC:", value: account.swift, mono: true },
+      { label: "Branch Code:", value: account.branch_code, mono: true },
+      { label: "Branch:", value: account.branch_address },
+      {
+        label: "Raast ID:",
+        value: account.raastError
+          ? account.raast_id
+          : formatMobileNumber(account.raast_id),
+        mono: true,
+      },
+      { label: "Currency:", value: account.currency, mono: true },
+      { label: "Purpose:", value: account.purpose },
+      { label: "Note:", value: account.note },
+    ].filter((row) => row.value);
+  }
+
+  /**
+   * Warnings printed in a box under an account's details
+   */
+  function getPDFWarnings(account) {
+    return [
+      account.ibanError &&
+        `WARNING: ${account.ibanError}. Do not transfer until the IBAN is confirmed with the account holder.`,
+      account.bankWarning &&
+        `WARNING: ${account.bankWarning}. Confirm the bank with the account holder before transferring.`,
+      account.walletError &&
+        `WARNING: ${account.walletError}. Confirm the wallet number with the account holder before transferring.`,
+      account.swiftError &&
+        `WARNING: ${account.swiftError}. Confirm the SWIFT/BIC with the account holder before transferring.`,
+      account.raastError &&
+        `WARNING: ${account.raastError}. Confirm the Raast ID with the account holder before transferring.`,
+    ].filter(Boolean);
+  }
+
+  /**
+   * Load each distinct image once for a PDF
+   */
+  async function loadPDFImages(sources) {
+    const unique = [...new Set(sources.filter(Boolean))];
+    const loaded = await Promise.all(unique.map((src) => loadPDFImage(src)));
+    return new Map(unique.map((src, i) => [src, loaded[i]]));
+  }
+
+  /**
+   * Amount with the currency code and two decimals ("PKR 15,000.00");
+   * codes rather than symbols so the standard PDF fonts can show them
+   */
+  function formatPDFAmount(amount, currency) {
+    return `${currency} ${Number(amount).toLocaleString("en", {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2,
+    })}`;
+  }
+
+  /**
+   * "19 Oct 2026" for a Date or yyyy-mm-dd string
+   */
+  function formatPDFDate(date) {
+    const value = typeof date === "string" ? new Date(`${date}T00:00:00`) : date;
+    return value.toLocaleDateString("en-GB", {
+      day: "numeric",
+      month: "short",
+      year: "numeric",
+    });
+  }
+
+  /**
+   * Keep track of the vertical position and start a new page when the
+   * next block doesn't fit
+   */
+  function createPDFCursor(pdf) {
+    const bottom = pdf.height - PDF_MARGIN - 24;
+    const cursor = {
+      y: PDF_MARGIN,
+      ensure(needed) {
+        if (cursor.y + needed > bottom && cursor.y > PDF_MARGIN) {
+          pdf.addPage();
+          cursor.y = PDF_MARGIN;
+        }
+      },
+    };
+    pdf.addPage();
+    return cursor;
+  }
+
+  /**
+   * Letterhead (logo, owner name, contact lines) with the document title
+   * on the right, followed by a rule in the accent colour
+   */
+  function drawDocumentHeader(pdf, cursor, settings, title, images) {
+    const { letterhead } = settings;
+    const logo = letterhead.logo ? images.get(letterhead.logo) : null;
+    let x = PDF_MARGIN;
+    let top = cursor.y;
+
+    if (logo) {
+      const scale = 48 / Math.max(logo.width, logo.height);
+      pdf.image(logo, x, top, logo.width * scale, logo.height * scale);
+      x += 60;
+    }
+    if (letterhead.name) {
+      pdf.text(letterhead.name, x, top + 16, { font: "bold", size: 16 });
+      top += 20;
+    }
+    [].concat(letterhead.contact || []).forEach((line) => {
+      pdf.text(line, x, top + 12, { size: 9, color: "#555555" });
+      top += 12;
+    });
+
+    pdf.text(title, pdf.width - PDF_MARGIN, cursor.y + 20, {
+      font: "bold",
+      size: 22,
+      color: settings.accent_color,
+      align: "right",
+    });
+
+    cursor.y = Math.max(top, cursor.y + (logo ? 48 : 28)) + 12;
+    pdf.rect(PDF_MARGIN, cursor.y, pdf.width - PDF_MARGIN * 2, 2, {
+      fill: settings.accent_color,
+    });
+    cursor.y += 20;
+  }
+
+  /**
+   * Footer text and page numbers on every page
+   */
+  function drawDocumentFooters(pdf, footer) {
+    const pageCount = pdf.getPageCount();
+    for (let i = 0; i < pageCount; i++) {
+      pdf.setPage(i);
+      const y = pdf.height - PDF_MARGIN / 2;
+      if (footer) pdf.text(footer, PDF_MARGIN, y, { size: 8, color: "#777777" });
+      pdf.text(`Page ${i + 1} of ${pageCount}`, pdf.width - PDF_MARGIN, y, {
+        size: 8,
+        color: "#777777",
+        align: "right",
+      });
+    }
+  }
+
+  /**
+   * Paragraph of wrapped text; returns nothing, advances the cursor
+   */
+  function drawPDFParagraph(pdf, cursor, text, { size = 10, font = "regular", color = "#000000" } = {}) {
+    if (!text) return;
+    const lineHeight = size * 1.4;
+    pdf.wrapText(text, pdf.width - PDF_MARGIN * 2, font, size).forEach((line) => {
+      cursor.ensure(lineHeight);
+      pdf.text(line, PDF_MARGIN, cursor.y + size, { font, size, color });
+      cursor.y += lineHeight;
+    });
+    cursor.y += 6;
+  }
+
+  /**
+   * Bank logo (or initials) with bank name and account title
+   */
+  function drawPDFAccountHeading(pdf, cursor, account, images) {
+    const logo = account.logo ? images.get(account.logo) : null;
+    const y = cursor.y;
+    if (logo) {
+      const scale = 36 / Math.max(logo.width, logo.height);
+      pdf.image(logo, PDF_MARGIN, y, logo.width * scale, logo.height * scale);
+    } else {
+      pdf.circle(PDF_MARGIN + 18, y + 18, 18, { fill: account.brandColor || "#4a5568" });
+      pdf.text(getBankInitials(account.bank), PDF_MARGIN + 18, y + 22, {
+        font: "bold",
+        size: 11,
+        color: "#ffffff",
+        align: "center",
+      });
+    }
+    pdf.text(account.bank, PDF_MARGIN + 48, y + 15, { font: "bold", size: 14 });
+    pdf.text(account.title, PDF_MARGIN + 48, y + 32, { size: 11, color: "#555555" });
+    cursor.y += 48;
+  }
+
+  /**
+   * Detail rows and warning boxes for an account within a column width
+   */
+  function drawPDFAccountDetails(pdf, cursor, account, width, size = 10) {
+    const labelWidth = size * 9;
+    const lineHeight = size * 1.4;
+
+    getPDFDetailRows(account).forEach(({ label, value, mono }) => {
+      const font = mono ? "mono" : "regular";
+      const lines = pdf.wrapText(value, width - labelWidth, font, size);
+      cursor.ensure(lines.length * lineHeight);
+      pdf.text(label, PDF_MARGIN, cursor.y + size, { font: "bold", size });
+      lines.forEach((text, i) => {
+        pdf.text(text, PDF_MARGIN + labelWidth, cursor.y + size + i * lineHeight, { font, size });
+      });
+      cursor.y += lines.length * lineHeight + 2;
+    });
+
+    getPDFWarnings(account).forEach((warning) => {
+      const lines = pdf.wrapText(warning, width - 16, "bold", 10);
+      const boxHeight = lines.length * 14 + 10;
+      cursor.ensure(boxHeight + 6);
+      cursor.y += 6;
+      pdf.rect(PDF_MARGIN, cursor.y, width, boxHeight, { stroke: "#000000", lineWidth: 1.5 });
+      lines.forEach((text, i) => {
+        pdf.text(text, PDF_MARGIN + 8, cursor.y + 15 + i * 14, { font: "bold", size: 10 });
+      });
+      cursor.y += boxHeight;
+    });
+  }
+
+  /**
+   * Draw a payment QR (in the format chosen in the QR modal) as filled
+   * rectangles, one per run of dark modules
+   */
+  function drawPDFPaymentQR(pdf, account, request, x, y, size) {
+    const isRaast = getQRMode(account) === "raast";
+    const qr = encodeQR(buildPaymentQRData(account, request), {
+      ecLevel: CONFIG.QR_EC_LEVEL,
+    });
+    const moduleSize = size / qr.size;
+
+    qr.modules.forEach((row, my) => {
+      for (let mx = 0; mx < qr.size; mx++) {
+        if (!row[mx]) continue;
+        const start = mx;
+        while (mx + 1 < qr.size && row[mx + 1]) mx++;
+        pdf.rect(x + start * moduleSize, y + my * moduleSize, (mx - start + 1) * moduleSize, moduleSize, {
+          fill: "#000000",
+        });
+      }
+    });
+
+    pdf.text(
+      isRaast ? RAAST_QR_CAPTION : "Scan for the account number",
+      x + size / 2,
+      y + size + 14,
+      { size: 8, color: "#555555", align: "center" }
+    );
+  }
+
+  /**
+   * Single-account payment slip: letterhead, intro, payee details and QR
+   */
+  async function createPaymentSlipPDF(account, settings) {
+    const template = settings.templates.slip;
+    const images = await loadPDFImages([settings.letterhead.logo, account.logo]);
+    const pdf = createPDFWriter({ title: template.title });
+    const cursor = createPDFCursor(pdf);
+    const contentWidth = pdf.width - PDF_MARGIN * 2;
+    const qrSize = 130;
+
+    drawDocumentHeader(pdf, cursor, settings, template.title, images);
+    drawPDFParagraph(pdf, cursor, template.intro, { size: 11 });
+    cursor.y += 8;
+
+    const detailsTop = cursor.y;
+    drawPDFAccountHeading(pdf, cursor, account, images);
+    drawPDFAccountDetails(
+      pdf,
+      cursor,
+      account,
+      template.show_qr ? contentWidth - qrSize - 24 : contentWidth,
+      12
+    );
+
+    if (template.show_qr) {
+      drawPDFPaymentQR(pdf, account, {}, pdf.width - PDF_MARGIN - qrSize, detailsTop, qrSize);
+      cursor.y = Math.max(cursor.y, detailsTop + qrSize + 24);
+    }
+
+    drawDocumentFooters(pdf, template.footer);
+    return pdf.toBlob();
+  }
+
+  /**
+   * Invoice: letterhead, bill-to and dates, line items with totals, then
+   * the account to pay into and a QR for the total
+   */
+  async function createInvoicePDF(account, invoice, settings) {
+    const template = settings.templates.invoice;
+    const images = await loadPDFImages([settings.letterhead.logo, account.logo]);
+    const pdf = createPDFWriter({ title: `${template.title} ${invoice.number}` });
+    const cursor = createPDFCursor(pdf);
+    const contentWidth = pdf.width - PDF_MARGIN * 2;
+    const right = pdf.width - PDF_MARGIN;
+    const totals = getInvoiceTotals(invoice.items, template.tax_rate);
+
+    drawDocumentHeader(pdf, cursor, settings, template.title, images);
+
+    // Bill to on the left, invoice number and dates on the right
+    const top = cursor.y;
+    const billToLines = pdf.wrapText(invoice.billTo || "-", contentWidth / 2, "regular", 11);
+    pdf.text("Bill to", PDF_MARGIN, top + 10, { font: "bold", size: 9, color: "#555555" });
+    billToLines.forEach((line, i) => {
+      pdf.text(line, PDF_MARGIN, top + 26 + i * 15, { size: 11 });
+    });
+    [
+      ["Invoice No:", invoice.number],
+      ["Issue date:", formatPDFDate(invoice.issueDate)],
+      ["Due date:", formatPDFDate(invoice.dueDate)],
+    ].forEach(([label, value], i) => {
+      pdf.text(label, right - 110, top + 10 + i * 15, { font: "bold", size: 10, align: "right" });
+      pdf.text(value, right, top + 10 + i * 15, { size: 10, align: "right" });
+    });
+    cursor.y = top + Math.max(3, billToLines.length) * 15 + 26;
+
+    // Line items
+    const columns = [
+      { label: "Description", x: PDF_MARGIN + 6, align: "left" },
+      { label: "Qty", x: right - 200, align: "right" },
+      { label: "Unit price", x: right - 100, align: "right" },
+      { label: "Amount", x: right - 6, align: "right" },
+    ];
+    const drawTableHeader = () => {
+      pdf.rect(PDF_MARGIN, cursor.y, contentWidth, 20, { fill: "#eeeeee" });
+      columns.forEach((col) => {
+        pdf.text(col.label, col.x, cursor.y + 14, { font: "bold", size: 10, align: col.align });
+      });
+      cursor.y += 24;
+    };
+    drawTableHeader();
+
+    invoice.items.forEach((item) => {
+      const lines = pdf.wrapText(item.description, contentWidth - 280, "regular", 10);
+      const rowHeight = lines.length * 14 + 6;
+      const page = pdf.getPageCount();
+      cursor.ensure(rowHeight);
+      if (pdf.getPageCount() !== page) drawTableHeader();
+
+      lines.forEach((line, i) => {
+        pdf.text(line, columns[0].x, cursor.y + 10 + i * 14, { size: 10 });
+      });
+      pdf.text(String(item.quantity), columns[1].x, cursor.y + 10, { size: 10, align: "right" });
+      pdf.text(formatPDFAmount(item.unitPrice, account.currency), columns[2].x, cursor.y + 10, {
+        size: 10,
+        align: "right",
+      });
+      pdf.text(formatPDFAmount(item.quantity * item.unitPrice, account.currency), columns[3].x, cursor.y + 10, {
+        size: 10,
+        align: "right",
+      });
+      cursor.y += rowHeight;
+      pdf.line(PDF_MARGIN, cursor.y - 3, right, cursor.y - 3, { color: "#dddddd", lineWidth: 0.5 });
+    });
+
+    // Totals
+    const totalRows = [["Subtotal", totals.subtotal]];
+    if (totals.tax) {
+      totalRows.push([`${template.tax_label} (${Number(template.tax_rate)}%)`, totals.tax]);
+    }
+    cursor.ensure(totalRows.length * 16 + 30);
+    cursor.y += 6;
+    totalRows.forEach(([label, value]) => {
+      pdf.text(label, right - 130, cursor.y + 10, { size: 10, align: "right" });
+      pdf.text(formatPDFAmount(value, account.currency), right - 6, cursor.y + 10, { size: 10, align: "right" });
+      cursor.y += 16;
+    });
+    pdf.rect(right - 250, cursor.y, 250, 24, { fill: "#eeeeee" });
+    pdf.text("Total due", right - 130, cursor.y + 16, { font: "bold", size: 12, align: "right" });
+    pdf.text(formatPDFAmount(totals.total, account.currency), right - 6, cursor.y + 16, {
+      font: "bold",
+      size: 12,
+      align: "right",
+    });
+    cursor.y += 44;
+
+    // Payee account, with a QR carrying the total and invoice number
+    const qrSize = 110;
+    cursor.ensure(160);
+    pdf.text("Pay to", PDF_MARGIN, cursor.y + 10, { font: "bold", size: 12, color: settings.accent_color });
+    cursor.y += 20;
+    const detailsTop = cursor.y;
+    drawPDFAccountHeading(pdf, cursor, account, images);
+    drawPDFAccountDetails(pdf, cursor, account, template.show_qr ? contentWidth - qrSize - 24 : contentWidth);
+    if (template.show_qr) {
+      drawPDFPaymentQR(
+        pdf,
+        account,
+        { amount: totals.total.toFixed(2), reference: invoice.number },
+        right - qrSize,
+        detailsTop,
+        qrSize
+      );
+      cursor.y = Math.max(cursor.y, detailsTop + qrSize + 24);
+    }
+
+    cursor.y += 10;
+    drawPDFParagraph(pdf, cursor, template.notes, { size: 10, color: "#333333" });
+    drawDocumentFooters(pdf, template.footer);
+    return pdf.toBlob();
+  }
+
+  /**
+   * Compact multi-account table: bank and title, numbers, currency
+   */
+  async function createSummaryPDF(accounts, settings) {
+    const template = settings.templates.summary;
+    const images = await loadPDFImages([settings.letterhead.logo]);
+    const pdf = createPDFWriter({ title: template.title });
+    const cursor = createPDFCursor(pdf);
+    const contentWidth = pdf.width - PDF_MARGIN * 2;
+    const numberX = PDF_MARGIN + contentWidth * 0.42;
+    const currencyX = pdf.width - PDF_MARGIN - 6;
+
+    drawDocumentHeader(pdf, cursor, settings, template.title, images);
+    drawPDFParagraph(pdf, cursor, template.intro);
+    drawPDFParagraph(pdf, cursor, `${accounts.length} account${accounts.length === 1 ? "" : "s"} - generated ${formatPDFDate(new Date())}`, {
+      size: 9,
+      color: "#555555",
+    });
+
+    const drawTableHeader = () => {
+      pdf.rect(PDF_MARGIN, cursor.y, contentWidth, 20, { fill: "#eeeeee" });
+      pdf.text("Bank / Account title", PDF_MARGIN + 6, cursor.y + 14, { font: "bold", size: 10 });
+      pdf.text("Account No / IBAN", numberX, cursor.y + 14, { font: "bold", size: 10 });
+      pdf.text("Currency", currencyX, cursor.y + 14, { font: "bold", size: 10, align: "right" });
+      cursor.y += 24;
+    };
+    drawTableHeader();
+
+    accounts.forEach((account) => {
+      const nameLines = [
+        ...pdf.wrapText(account.bank, numberX - PDF_MARGIN - 16, "bold", 10).map((text) => ({ text, font: "bold" })),
+        ...pdf.wrapText(account.title, numberX - PDF_MARGIN - 16, "regular", 10).map((text) => ({ text, font: "regular" })),
+        ...getPDFWarnings(account).flatMap((warning) =>
+          pdf.wrapText(warning.split(". ")[0], numberX - PDF_MARGIN - 16, "bold", 8).map((text) => ({
+            text,
+            font: "bold",
+            size: 8,
+          }))
+        ),
+      ];
+      const numberLines = [
+        account.acc_no && formatAccountNumber(account),
+        account.iban,
+        account.swift && `SWIFT ${account.swift}`,
+      ].filter(Boolean);
+      const rowHeight = Math.max(nameLines.length, numberLines.length) * 13 + 8;
+
+      const page = pdf.getPageCount();
+      cursor.ensure(rowHeight);
+      if (pdf.getPageCount() !== page) drawTableHeader();
+
+      nameLines.forEach((line, i) => {
+        pdf.text(line.text, PDF_MARGIN + 6, cursor.y + 10 + i * 13, { font: line.font, size: line.size || 10 });
+      });
+      numberLines.forEach((line, i) => {
+        pdf.text(line, numberX, cursor.y + 10 + i * 13, { font: "mono", size: 9 });
+      });
+      pdf.text(account.currency, currencyX, cursor.y + 10, { font: "mono", size: 9, align: "right" });
+
+      cursor.y += rowHeight;
+      pdf.line(PDF_MARGIN, cursor.y - 3, PDF_MARGIN + contentWidth, cursor.y - 3, {
+        color: "#dddddd",
+        lineWidth: 0.5,
+      });
+    });
+
+    drawDocumentFooters(pdf, template.footer);
+    return pdf.toBlob();
+  }
+
+  /**
+   * Subtotal, tax and total of invoice line items
+   */
+  function getInvoiceTotals(items, taxRate) {
+    const subtotal = items.reduce((sum, item) => sum + item.quantity * item.unitPrice, 0);
+    const tax = Math.round(subtotal * (Number(taxRate) || 0)) / 100;
+    return { subtotal, tax, total: subtotal + tax };
+  }
+
+  /**
+   * Download the given accounts as a summary PDF
+   */
+  async function downloadAccountsPDF(accounts) {
+    const count = accounts.length;
+    try {
+      showToast(`Generating PDF for ${count} account${count === 1 ? "" : "s"}...`, "success");
+
+      const settings = await loadDocumentSettings();
+      const blob = await createSummaryPDF(accounts, settings);
+      downloadBlob(blob, `${safeFilename(settings.templates.summary.title)}.pdf`);
+    } catch (error) {
+      log("PDF generation error:", error);
+      showToast("Failed to generate PDF", "error");
+    }
+  }
+
+  // ============================================
+  // DOCUMENT DIALOG
+  // ============================================
+
+  // Account the document dialog was opened for
+  let documentAccount = null;
+
+  /**
+   * Today (or today + days) as yyyy-mm-dd for date inputs
+   */
+  function getISODate(days = 0) {
+    const date = new Date();
+    date.setDate(date.getDate() + days);
+    const pad = (n) => String(n).padStart(2, "0");
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  /**
+   * Next invoice number: the template prefix and a per-device counter
+   */
+  function getNextInvoiceNumber(prefix) {
+    const next = (parseInt(readSetting(CONFIG.INVOICE_SEQ_KEY), 10) || 0) + 1;
+    return `${prefix}${String(next).padStart(4, "0")}`;
+  }
+
+  /**
+   * Open the document dialog for one account
+   */
+  async function openDocumentModal(account) {
+    const modal = DOM.documentModal;
+    if (!modal) return;
+
+    const settings = await loadDocumentSettings();
+    documentAccount = account;
+
+    DOM.documentScope.textContent = `${account.bank} - ${account.title}`;
+    DOM.documentTemplate.innerHTML = Object.entries(DOCUMENT_TEMPLATES)
+      .map(
+        ([key, label]) =>
+          `<option value="${key}">${label} - ${sanitize(settings.templates[key].title)}</option>`
+      )
+      .join("");
+    DOM.documentForm.reset();
+    DOM.documentErrors.innerHTML = "";
+
+    const invoiceTemplate = settings.templates.invoice;
+    DOM.invoiceNumber.value = getNextInvoiceNumber(invoiceTemplate.number_prefix);
+    DOM.invoiceIssueDate.value = getISODate();
+    DOM.invoiceDueDate.value = getISODate(Number(invoiceTemplate.due_days) || 0);
+    DOM.invoiceItems.innerHTML = "";
+    addInvoiceItemRow();
+    updateDocumentForm();
+
+    modal.setAttribute("aria-hidden", "false");
+    setupModalFocusTrap(modal);
+  }
+
+  /**
+   * Close the document dialog
+   */
+  function closeDocumentModal() {
+    const modal = DOM.documentModal;
+    if (modal) {
+      modal.setAttribute("aria-hidden", "true");
+    }
+    documentAccount = null;
+  }
+
+  /**
+   * Append an empty line item row to the invoice form
+   */
+  function addInvoiceItemRow() {
+    const row = document.createElement("tr");
+    row.innerHTML = `
+      <td><input type="text" data-item="description" aria-label="Item description" /></td>
+      <td><input type="text" data-item="quantity" inputmode="decimal" value="1" aria-label="Quantity" /></td>
+      <td><input type="text" data-item="price" inputmode="decimal" aria-label="Unit price" /></td>
+      <td>
+        <button type="button" class="invoice-remove-item" data-remove-item aria-label="Remove item">
+          <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <line x1="18" y1="6" x2="6" y2="18"></line>
+            <line x1="6" y1="6" x2="18" y2="18"></line>
+          </svg>
+        </button>
+      </td>
     `;
+    DOM.invoiceItems.appendChild(row);
+  }
 
-    if (isFavorite(account.id)) {
-      favoriteBtn.querySelector(".icon").style.fill = "#ffc107";
+  /**
+   * Invoice details from the form, with a list of problems
+   */
+  function readInvoiceForm() {
+    const errors = [];
+    const items = [];
+
+    DOM.invoiceItems.querySelectorAll("tr").forEach((row, index) => {
+      const get = (name) => row.querySelector(`[data-item="${name}"]`).value.trim();
+      const description = get("description");
+      const quantity = get("quantity");
+      const price = get("price").replace(/,/g, "");
+      if (!description && !price) return;
+
+      if (!description) errors.push(`Item ${index + 1} needs a description`);
+      if (!/^\d+(?:\.\d+)?$/.test(quantity) || Number(quantity) <= 0) {
+        errors.push(`Item ${index + 1}: quantity must be a number greater than 0`);
+      }
+      if (!/^\d+(?:\.\d{1,2})?$/.test(price)) {
+        errors.push(`Item ${index + 1}: unit price must be a number with up to 2 decimals`);
+      }
+      items.push({ description, quantity: Number(quantity), unitPrice: Number(price) });
+    });
+
+    if (items.length === 0) errors.push("Add at least one line item");
+
+    const invoice = {
+      billTo: DOM.invoiceBillTo.value.trim(),
+      number: DOM.invoiceNumber.value.trim(),
+      issueDate: DOM.invoiceIssueDate.value,
+      dueDate: DOM.invoiceDueDate.value,
+      items,
+    };
+    if (!invoice.number) errors.push("Invoice number is required");
+    if (!invoice.issueDate || !invoice.dueDate) {
+      errors.push("Issue and due dates are required");
+    } else if (invoice.dueDate < invoice.issueDate) {
+      errors.push("Due date can't be before the issue date");
     }
 
-    header.appendChild(favoriteBtn);
-    article.appendChild(header);
+    return { invoice, errors };
+  }
 
-    // Card tags
-    const tags = document.createElement("div");
-    tags.className = "card-tags";
-    tags.innerHTML = `
-      <span class="tag tag-currency">${sanitize(account.currency)}</span>
-      ${
-        account.purpose
-          ? `<span class="tag tag-purpose">${sanitize(account.purpose)}</span>`
-          : ""
+  /**
+   * Show the invoice fields for the invoice template and its running total
+   */
+  function updateDocumentForm() {
+    const isInvoice = DOM.documentTemplate.value === "invoice";
+    DOM.invoiceFields.hidden = !isInvoice;
+    if (!isInvoice || !documentAccount || !documentSettings) return;
+
+    const { invoice } = readInvoiceForm();
+    const totals = getInvoiceTotals(invoice.items, documentSettings.templates.invoice.tax_rate);
+    DOM.invoiceTotal.textContent = `Total: ${formatAmount(
+      Number.isFinite(totals.total) ? totals.total : 0,
+      documentAccount.currency
+    )}`;
+  }
+
+  /**
+   * Build and download the chosen document
+   */
+  async function handleDocumentSubmit(e) {
+    e.preventDefault();
+    const account = documentAccount;
+    if (!account) return;
+
+    const settings = await loadDocumentSettings();
+    const templateKey = DOM.documentTemplate.value;
+    let blob;
+    let filename;
+
+    try {
+      if (templateKey === "invoice") {
+        const { invoice, errors } = readInvoiceForm();
+        DOM.documentErrors.innerHTML = errors.map((err) => `<li>${sanitize(err)}</li>`).join("");
+        if (errors.length > 0) return;
+
+        blob = await createInvoicePDF(account, invoice, settings);
+        filename = `${safeFilename(invoice.number)}.pdf`;
+        if (invoice.number === getNextInvoiceNumber(settings.templates.invoice.number_prefix)) {
+          saveSetting(
+            CONFIG.INVOICE_SEQ_KEY,
+            String((parseInt(readSetting(CONFIG.INVOICE_SEQ_KEY), 10) || 0) + 1)
+          );
+        }
+      } else if (templateKey === "summary") {
+        blob = await createSummaryPDF([account], settings);
+        filename = `${safeFilename(`${settings.templates.summary.title}_${account.bank}`)}.pdf`;
+      } else {
+        blob = await createPaymentSlipPDF(account, settings);
+        filename = `${safeFilename(`${settings.templates.slip.title}_${account.bank}_${account.title}`)}.pdf`;
       }
-    `;
-    article.appendChild(tags);
+    } catch (error) {
+      log("PDF generation error:", error);
+      showToast("Failed to generate PDF", "error");
+      return;
+    }
 
-    // Card details
-    const details = document.createElement("div");
-    details.className = "card-details";
+    downloadBlob(blob, filename);
+    showToast(`${filename} downloaded`, "success");
+    closeDocumentModal();
+  }
 
-    let detailsHTML = "";
+  /**
+   * Wire up the document dialog
+   */
+  function setupDocumentForm() {
+    if (!DOM.documentForm) return;
+
+    DOM.documentForm.addEventListener("submit", handleDocumentSubmit);
+    DOM.documentTemplate.addEventListener("change", updateDocumentForm);
+    DOM.invoiceFields.addEventListener("input", updateDocumentForm);
+    DOM.invoiceAddItem.addEventListener("click", () => {
+      addInvoiceItemRow();
+      updateDocumentForm();
+    });
+    DOM.invoiceItems.addEventListener("click", (e) => {
+      const removeButton = e.target.closest("[data-remove-item]");
+      if (!removeButton) return;
+      removeButton.closest("tr").remove();
+      if (!DOM.invoiceItems.querySelector("tr")) addInvoiceItemRow();
+      updateDocumentForm();
+    });
+  }
 
-    if (account.acc_no) {
-      detailsHTML += `
-        <div class="detail-row">
-          <span class="detail-label">Account No:</span>
-          <div class="detail-value-wrapper">
-            <span class="detail-value account-number-display">${maskAccountNumber(
-              account.acc_no
-            )}</span>
-            <span class="detail-value account-number-full" style="display: none;">${sanitize(
-              account.acc_no
-            )}</span>
-            <button type="button" class="eye-btn" data-action="toggle-visibility" data-type="account-number" data-visible="false" aria-label="Show full account number">
-              <svg class="icon icon-eye" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                <path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"></path>
-                <circle cx="12" cy="12" r="3"></circle>
-              </svg>
-              <svg class="icon icon-eye-slash" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                <path d="M17.94 17.94A10.07 10.07 0 0 1 12 20c-7 0-11-8-11-8a18.45 18.45 0 0 1 5.06-5.94M9.9 4.24A9.12 9.12 0 0 1 12 4c7 0 11 8 11 8a18.5 18.5 0 0 1-2.16 3.19m-6.72-1.07a3 3 0 1 1-4.24-4.24"></path>
-                <line x1="1" y1="1" x2="23" y2="23"></line>
-              </svg>
-            </button>
-            <button type="button" class="copy-btn" data-action="copy-account" data-value="${sanitize(
-              account.acc_no
-            )}" aria-label="Copy account number">
-              <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                <rect x="9" y="9" width="13" height="13" rx="2" ry="2"></rect>
-                <path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"></path>
-              </svg>
-            </button>
-          </div>
-        </div>
-      `;
+  // ============================================
+  // BULK PDF SCOPE
+  // ============================================
+
+  // Accounts ticked in the dialog's picker, starting from the list selection
+  // (kept apart so hidden accounts picked here don't join the selection)
+  const pdfScopeIds = new Set();
+
+  /**
+   * Accounts covered by a bulk PDF scope ("all", "filtered", "selection")
+   */
+  function getPDFScopeAccounts(scope) {
+    switch (scope) {
+      case "filtered":
+        return filteredAccounts;
+      case "selection":
+        return allAccounts.filter((account) => pdfScopeIds.has(account.id));
+      default:
+        return allAccounts;
     }
+  }
 
-    if (account.iban) {
-      detailsHTML += `
-        <div class="detail-row">
-          <span class="detail-label">IBAN:</span>
-          <div class="detail-value-wrapper">
-            <span class="detail-value iban-display">${maskIBAN(
-              account.iban
-            )}</span>
-            <span class="detail-value iban-full" style="display: none;">${sanitize(
-              account.iban
-            )}</span>
-            <button type="button" class="eye-btn" data-action="toggle-visibility" data-type="iban" data-visible="false" aria-label="Show full IBAN">
-              <svg class="icon icon-eye" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                <path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"></path>
-                <circle cx="12" cy="12" r="3"></circle>
-              </svg>
-              <svg class="icon icon-eye-slash" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                <path d="M17.94 17.94A10.07 10.07 0 0 1 12 20c-7 0-11-8-11-8a18.45 18.45 0 0 1 5.06-5.94M9.9 4.24A9.12 9.12 0 0 1 12 4c7 0 11 8 11 8a18.5 18.5 0 0 1-2.16 3.19m-6.72-1.07a3 3 0 1 1-4.24-4.24"></path>
-                <line x1="1" y1="1" x2="23" y2="23"></line>
-              </svg>
-            </button>
-            <button type="button" class="copy-btn" data-action="copy-iban" data-value="${sanitize(
-              account.iban
-            )}" aria-label="Copy IBAN">
-              <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                <rect x="9" y="9" width="13" height="13" rx="2" ry="2"></rect>
-                <path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"></path>
-              </svg>
-            </button>
-          </div>
-        </div>
-      `;
+  /**
+   * Describe a scope and its count for the confirmation line
+   */
+  function describePDFScope(scope, count) {
+    const accounts = `${count} account${count === 1 ? "" : "s"}`;
+    switch (scope) {
+      case "filtered":
+        return `${accounts} matching the current filters`;
+      case "selection":
+        return `${count} selected account${count === 1 ? "" : "s"}`;
+      default:
+        return `all ${accounts}`;
     }
+  }
 
-    if (account.note) {
-      detailsHTML += `<p class="account-note">${sanitize(account.note)}</p>`;
+  /**
+   * Open the Download All dialog on the given scope, or on the filter
+   * results when a filter is active
+   */
+  function openPDFScopeModal(scope = null) {
+    const modal = DOM.pdfScopeModal;
+    if (!modal) return;
+
+    if (allAccounts.length === 0) {
+      showToast("No accounts to export", "error");
+      return;
+    }
+
+    pdfScopeIds.clear();
+    selectedAccountIds.forEach((id) => pdfScopeIds.add(id));
+    DOM.pdfScopePicker.innerHTML = allAccounts
+      .map(
+        (account) => `
+        <li>
+          <label>
+            <input type="checkbox" value="${sanitize(account.id)}" ${
+              pdfScopeIds.has(account.id) ? "checked" : ""
+            } />
+            ${sanitize(account.bank)} - ${sanitize(account.title)}
+          </label>
+        </li>`
+      )
+      .join("");
+
+    const isFiltered = filteredAccounts.length !== allAccounts.length;
+    DOM.pdfScopeForm.elements.scope.value = scope || (isFiltered ? "filtered" : "all");
+    updatePDFScopeForm();
+
+    modal.setAttribute("aria-hidden", "false");
+    setupModalFocusTrap(modal);
+  }
+
+  /**
+   * Close the Download All dialog
+   */
+  function closePDFScopeModal() {
+    const modal = DOM.pdfScopeModal;
+    if (modal) {
+      modal.setAttribute("aria-hidden", "true");
+    }
+  }
+
+  /**
+   * Refresh the scope counts, the account picker and the confirmation line
+   */
+  function updatePDFScopeForm() {
+    const scope = DOM.pdfScopeForm.elements.scope.value;
+
+    DOM.pdfScopeForm.querySelectorAll("[data-scope-count]").forEach((el) => {
+      const count = getPDFScopeAccounts(el.dataset.scopeCount).length;
+      el.textContent = count;
+      if (el.dataset.scopeCount === "filtered") {
+        el.closest("label").querySelector("input").disabled = count === 0;
+      }
+    });
+    DOM.pdfScopePicker.hidden = scope !== "selection";
+
+    const count = getPDFScopeAccounts(scope).length;
+    DOM.pdfScopeSubmit.disabled = count === 0;
+    DOM.pdfScopeSummary.textContent =
+      count === 0
+        ? scope === "selection"
+          ? "Pick the accounts to include."
+          : "No accounts match the current filters."
+        : `The PDF will list ${describePDFScope(scope, count)}.`;
+  }
+
+  /**
+   * Wire up the Download All dialog
+   */
+  function setupPDFScopeForm() {
+    if (!DOM.pdfScopeForm) return;
+
+    DOM.pdfScopeForm.addEventListener("change", (e) => {
+      if (e.target.type === "checkbox") {
+        if (e.target.checked) {
+          pdfScopeIds.add(e.target.value);
+        } else {
+          pdfScopeIds.delete(e.target.value);
+        }
+      }
+      updatePDFScopeForm();
+    });
+
+    DOM.pdfScopeForm.addEventListener("submit", (e) => {
+      e.preventDefault();
+      const accounts = getPDFScopeAccounts(DOM.pdfScopeForm.elements.scope.value);
+      if (accounts.length === 0) return;
+
+      closePDFScopeModal();
+      downloadAccountsPDF(accounts);
+    });
+  }
+
+  // ============================================
+  // FILE EXPORTS (JSON, CSV, vCard)
+  // ============================================
+
+  let exportTargets = [];
+
+  /**
+   * Download accounts as an accounts.json file that loadData can read back
+   */
+  function exportAccountsJSON(accounts, filename) {
+    const records = accounts.map(toRawRecord);
+    const blob = new Blob([JSON.stringify(records, null, 2) + "\n"], {
+      type: "application/json",
+    });
+    downloadBlob(blob, filename);
+    showToast(`${filename} exported`, "success");
+  }
+
+  /**
+   * Quote a CSV cell when it contains a delimiter, quote or newline
+   * Cells starting with = + - @ get a ' prefix so spreadsheets show them as
+   * text instead of running them as formulas
+   */
+  function toCSVCell(value) {
+    let str = String(value === undefined || value === null ? "" : value);
+    if (/^[=+\-@]/.test(str)) str = `'${str}`;
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  }
+
+  /**
+   * Download accounts as CSV, one row per account
+   * Headers use the accounts.json keys so the file can be imported again
+   */
+  function exportAccountsCSV(accounts, filename) {
+    const fields = Object.keys(ACCOUNT_SCHEMA);
+    const lines = [
+      fields.map((field) => ACCOUNT_SCHEMA[field].keys[0]).join(","),
+      ...accounts.map((account) =>
+        fields.map((field) => toCSVCell(account[field])).join(",")
+      ),
+    ];
+
+    // BOM so Excel opens the file as UTF-8
+    const blob = new Blob(["\ufeff" + lines.join("\r\n") + "\r\n"], {
+      type: "text/csv;charset=utf-8",
+    });
+    downloadBlob(blob, filename);
+    showToast(`${filename} exported`, "success");
+  }
+
+  /**
+   * Escape a vCard property value (RFC 6350)
+   */
+  function toVCardText(value) {
+    return String(value || "")
+      .replace(/\\/g, "\\\\")
+      .replace(/\n/g, "\\n")
+      .replace(/([,;])/g, "\\$1");
+  }
+
+  /**
+   * Build a vCard for a mobile wallet account
+   */
+  function createVCard(account) {
+    return [
+      "BEGIN:VCARD",
+      "VERSION:3.0",
+      `FN:${toVCardText(account.title)}`,
+      `N:${toVCardText(account.title)};;;;`,
+      `ORG:${toVCardText(account.bank)}`,
+      `TEL;TYPE=CELL:${toInternationalMobile(account.acc_no)}`,
+      `NOTE:${toVCardText(
+        `${account.bank} wallet${account.iban ? ` - IBAN ${account.iban}` : ""}`
+      )}`,
+      "END:VCARD",
+    ].join("\r\n");
+  }
+
+  /**
+   * Download one vCard per wallet account in a single .vcf file
+   */
+  function exportWalletVCards(accounts, filename) {
+    const wallets = accounts.filter(
+      (account) => isWalletAccount(account) && !account.walletError
+    );
+
+    if (wallets.length === 0) {
+      showToast("No mobile wallet accounts to export", "error");
+      return;
+    }
+
+    const blob = new Blob([wallets.map(createVCard).join("\r\n") + "\r\n"], {
+      type: "text/vcard;charset=utf-8",
+    });
+    downloadBlob(blob, filename);
+    showToast(
+      `${wallets.length} contact${wallets.length === 1 ? "" : "s"} exported`,
+      "success"
+    );
+  }
+
+  /**
+   * Open the export modal for the given accounts
+   * (header = current filter results, card = that single account)
+   */
+  function openExportModal(accounts, scopeLabel) {
+    const modal = DOM.exportModal;
+    if (!modal) return;
+
+    if (accounts.length === 0) {
+      showToast("No accounts to export", "error");
+      return;
+    }
+
+    exportTargets = accounts;
+    DOM.exportScope.textContent = scopeLabel;
+
+    const walletCount = accounts.filter(
+      (account) => isWalletAccount(account) && !account.walletError
+    ).length;
+    DOM.exportVCardBtn.disabled = walletCount === 0;
+    DOM.exportVCardBtn.title =
+      walletCount === 0 ? "Only available for mobile wallet accounts" : "";
+
+    modal.setAttribute("aria-hidden", "false");
+    setupModalFocusTrap(modal);
+  }
+
+  /**
+   * Close the export modal
+   */
+  function closeExportModal() {
+    const modal = DOM.exportModal;
+    if (modal) {
+      modal.setAttribute("aria-hidden", "true");
+    }
+  }
+
+  /**
+   * Open the export modal for everything matching the active filters
+   */
+  function exportFilteredAccounts() {
+    const isFiltered = filteredAccounts.length !== allAccounts.length;
+    const count = filteredAccounts.length;
+
+    openExportModal(
+      filteredAccounts,
+      `${count} account${count === 1 ? "" : "s"}${
+        isFiltered ? " matching the current filters" : ""
+      }`
+    );
+  }
+
+  /**
+   * Export the selected accounts in the chosen format
+   */
+  function handleExportFormat(format) {
+    const accounts = exportTargets;
+    const baseName =
+      accounts.length === 1
+        ? safeFilename(`${accounts[0].bank}_${accounts[0].title}`)
+        : "accounts";
+
+    switch (format) {
+      case "json":
+        exportAccountsJSON(accounts, `${baseName}.json`);
+        break;
+      case "csv":
+        exportAccountsCSV(accounts, `${baseName}.csv`);
+        break;
+      case "vcard":
+        exportWalletVCards(accounts, `${baseName === "accounts" ? "wallets" : baseName}.vcf`);
+        break;
+      default:
+        log("Unknown export format:", format);
+        return;
     }
 
-    details.innerHTML = detailsHTML;
-    article.appendChild(details);
+    closeExportModal();
+  }
 
-    // Card actions
-    const actions = document.createElement("div");
-    actions.className = "card-actions";
-    actions.innerHTML = `
-      <button type="button" class="action-btn" data-action="show-qr" aria-label="Show QR code for ${sanitize(
-        account.bank
-      )}" aria-controls="qr-modal">
-        <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-          <rect x="3" y="3" width="5" height="5"></rect>
-          <rect x="16" y="3" width="5" height="5"></rect>
-          <rect x="3" y="16" width="5" height="5"></rect>
-          <path d="M21 16h-3a2 2 0 0 0-2 2v3"></path>
-          <path d="M21 21v.01"></path>
-          <path d="M12 7v3a2 2 0 0 1-2 2H7"></path>
-          <path d="M3 12h.01"></path>
-          <path d="M12 3h.01"></path>
-          <path d="M12 16v.01"></path>
-          <path d="M16 12h1"></path>
-          <path d="M21 12v.01"></path>
-          <path d="M12 21v-1"></path>
-        </svg>
-        QR Code
-      </button>
-      <button type="button" class="action-btn" data-action="share" aria-label="Share ${sanitize(
-        account.bank
-      )} details">
-        <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-          <circle cx="18" cy="5" r="3"></circle>
-          <circle cx="6" cy="12" r="3"></circle>
-          <circle cx="18" cy="19" r="3"></circle>
-          <line x1="8.59" y1="13.51" x2="15.42" y2="17.49"></line>
-          <line x1="15.41" y1="6.51" x2="8.59" y2="10.49"></line>
-        </svg>
-        Share
-      </button>
-      <button type="button" class="action-btn" data-action="download-pdf" aria-label="Download ${sanitize(
-        account.bank
-      )} as PDF">
-        <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-          <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
-          <polyline points="7,10 12,15 17,10"></polyline>
-          <line x1="12" y1="15" x2="12" y2="3"></line>
-        </svg>
-        PDF
-      </button>
-    `;
-    article.appendChild(actions);
+  // ============================================
+  // SELECTION MODE
+  // ============================================
 
-    // Attach event listeners
-    attachCardEventListeners(article, account);
+  let isSelectMode = false;
+  // Selected account ids, also the starting picks of Download All
+  const selectedAccountIds = new Set();
+  // Last account clicked without Shift; Shift-click selects up to here
+  let selectionAnchorId = null;
 
-    li.appendChild(article);
-    return li;
+  /**
+   * Selected accounts in list order
+   */
+  function getSelectedAccounts() {
+    return allAccounts.filter((account) => selectedAccountIds.has(account.id));
   }
 
   /**
-   * Attach event listeners to card buttons
+   * Turn selection mode on or off (leaving it clears the selection)
    */
-  function attachCardEventListeners(card, account) {
-    const buttons = card.querySelectorAll("[data-action]");
+  function setSelectMode(enabled) {
+    isSelectMode = enabled;
+    if (!enabled) {
+      selectedAccountIds.clear();
+      selectionAnchorId = null;
+    }
+    document.body.classList.toggle("select-mode", enabled);
+    if (DOM.selectModeBtn) {
+      DOM.selectModeBtn.setAttribute("aria-pressed", String(enabled));
+    }
+    updateSelectionUI();
+  }
 
-    buttons.forEach((button) => {
-      button.addEventListener("click", (e) => {
-        e.preventDefault();
-        const action = button.getAttribute("data-action");
-        handleCardAction(action, account, button);
+  /**
+   * Toggle one card, or with Shift every card between it and the anchor
+   */
+  function handleSelectClick(account, checkbox, e) {
+    const ids = filteredAccounts.map((item) => item.id);
+    const from = ids.indexOf(selectionAnchorId);
+    const to = ids.indexOf(account.id);
+
+    if (e.shiftKey && from !== -1 && to !== -1) {
+      ids.slice(Math.min(from, to), Math.max(from, to) + 1).forEach((id) => {
+        if (checkbox.checked) {
+          selectedAccountIds.add(id);
+        } else {
+          selectedAccountIds.delete(id);
+        }
       });
+    } else {
+      if (checkbox.checked) {
+        selectedAccountIds.add(account.id);
+      } else {
+        selectedAccountIds.delete(account.id);
+      }
+      selectionAnchorId = account.id;
+    }
+
+    updateSelectionUI();
+  }
+
+  /**
+   * Select every visible account, or clear when they're all selected
+   */
+  function toggleSelectAll() {
+    const allSelected =
+      filteredAccounts.length > 0 &&
+      filteredAccounts.every((account) => selectedAccountIds.has(account.id));
+
+    filteredAccounts.forEach((account) => {
+      if (allSelected) {
+        selectedAccountIds.delete(account.id);
+      } else {
+        selectedAccountIds.add(account.id);
+      }
     });
+    updateSelectionUI();
   }
 
   /**
-   * Handle card button actions
+   * Sync card checkboxes and the action bar with the selection
    */
-  function handleCardAction(action, account, button) {
+  function updateSelectionUI() {
+    document.querySelectorAll("[data-account-id]").forEach((item) => {
+      const selected = selectedAccountIds.has(item.getAttribute("data-account-id"));
+      const checkbox = item.querySelector(".select-checkbox");
+      if (checkbox) checkbox.checked = selected;
+      const card = item.querySelector(".account-card");
+      if (card) card.classList.toggle("is-selected", selected);
+    });
+
+    const bar = DOM.selectionBar;
+    if (!bar) return;
+
+    const count = getSelectedAccounts().length;
+    bar.hidden = !isSelectMode;
+    DOM.selectionCount.textContent = `${count} selected`;
+    bar.querySelectorAll("[data-selection-action]").forEach((button) => {
+      const action = button.getAttribute("data-selection-action");
+      if (action !== "select-all" && action !== "done") {
+        button.disabled = count === 0;
+      }
+    });
+
+    const allSelected =
+      filteredAccounts.length > 0 &&
+      filteredAccounts.every((account) => selectedAccountIds.has(account.id));
+    bar.querySelector('[data-selection-action="select-all"]').textContent =
+      allSelected ? "Select None" : "Select All";
+  }
+
+  /**
+   * Plain-text block with an account's payment details
+   */
+  function formatAccountText(account) {
+    return [
+      `${account.bank} - ${account.title}`,
+      account.acc_no && `Account: ${formatAccountNumber(account)}`,
+      account.iban && `IBAN: ${account.iban}`,
+      account.swift && `SWIFT/BIC: ${account.swift}`,
+      account.branch_address && `Branch: ${account.branch_address}`,
+      account.branch_code && `Branch code: ${account.branch_code}`,
+      account.raast_id &&
+        !account.raastError &&
+        `Raast ID: ${formatMobileNumber(account.raast_id)}`,
+    ]
+      .filter(Boolean)
+      .join("\n");
+  }
+
+  /**
+   * Run an action bar button on the selected accounts
+   */
+  function handleSelectionAction(action) {
+    const accounts = getSelectedAccounts();
+
     switch (action) {
-      case "favorite":
-        toggleFavorite(account.id);
-        break;
-      case "copy-account":
-        copyToClipboard(account.acc_no, "Account number");
+      case "select-all":
+        toggleSelectAll();
         break;
-      case "copy-iban":
-        copyToClipboard(account.iban, "IBAN");
+      case "copy":
+        copyToClipboard(accounts.map(formatAccountText).join("\n\n"), "Account details");
         break;
-      case "toggle-visibility":
-        const type = button.getAttribute("data-type");
-        toggleVisibility(button, type);
+      case "share":
+        openShareModal(accounts);
         break;
-      case "show-qr":
-        showQRModal(account);
+      case "pdf":
+        openPDFScopeModal("selection");
         break;
-      case "share":
-        shareAccount(account);
+      case "qr":
+        showQRQueue(accounts);
         break;
-      case "download-pdf":
-        downloadAccountPDF(account);
+      case "done":
+        setSelectMode(false);
         break;
       default:
-        log("Unknown action:", action);
+        log("Unknown selection action:", action);
     }
   }
 
   /**
-   * Render favorites strip at the top
+   * Wire up the Select button and the action bar
    */
-  function renderFavoritesStrip() {
-    const container = DOM.favoritesContainer;
+  function setupSelectionMode() {
+    if (DOM.selectModeBtn) {
+      DOM.selectModeBtn.addEventListener("click", () => setSelectMode(!isSelectMode));
+    }
+    if (DOM.selectionBar) {
+      DOM.selectionBar.addEventListener("click", (e) => {
+        const button = e.target.closest("[data-selection-action]");
+        if (button) handleSelectionAction(button.getAttribute("data-selection-action"));
+      });
+    }
+  }
 
-    if (!container) return;
+  // ============================================
+  // SHARE TEMPLATES
+  // ============================================
+  // A template is rendered as header, one item per account (joined by the
+  // separator) and footer. {field} placeholders take any account field plus
+  // {account} (formatted number), {amount}, {reference} and {link};
+  // {iban|account} uses the first one that has a value. Lines whose
+  // placeholders are all empty are left out. Owners can add or override
+  // templates under "share_templates" in documents.json.
+
+  const DEFAULT_SHARE_TEMPLATES = {
+    whatsapp: {
+      label: "WhatsApp",
+      item: [
+        "*{bank}*",
+        "{title}",
+        "Account: *{account}*",
+        "IBAN: *{iban}*",
+        "SWIFT/BIC: {swift}",
+        "Branch: {branch_address}",
+        "Branch code: {branch_code}",
+        "Raast ID: *{raast_id}*",
+      ].join("\n"),
+      footer: "\nAmount: *{amount}*\nReference: {reference}\n{link}",
+    },
+    sms: {
+      label: "SMS",
+      item: "{title}, {bank}\n{iban|account}",
+      separator: "\n",
+      footer: "Amt {amount}\nRef {reference}",
+      max_length: 160,
+    },
+    email: {
+      label: "Email",
+      subject: "Payment details",
+      header: "Hello,\n\nPlease use the following details for the payment:\n",
+      item: [
+        "Bank: {bank}",
+        "Account title: {title}",
+        "Account number: {account}",
+        "IBAN: {iban}",
+        "SWIFT/BIC: {swift}",
+        "Branch: {branch_address}",
+        "Branch code: {branch_code}",
+        "Raast ID: {raast_id}",
+      ].join("\n"),
+      footer: "\nAmount: {amount}\nReference: {reference}\n\n{link}\n\nThank you.",
+    },
+    markdown: {
+      label: "Markdown table",
+      header: "| Bank | Account title | Account number | IBAN |\n| --- | --- | --- | --- |",
+      item: "| {bank} | {title} | {account} | {iban} |",
+      separator: "\n",
+      footer: "\n**Amount:** {amount}  \n**Reference:** {reference}",
+      escape: "markdown",
+    },
+  };
 
-    // Get favorite accounts
-    const favoriteAccounts = allAccounts
-      .filter((account) => isFavorite(account.id))
-      .slice(0, CONFIG.MAX_FAVORITES_DISPLAY);
+  // Value escapers a template can ask for with "escape"
+  const SHARE_ESCAPES = {
+    markdown: (value) => value.replace(/[\\|*_`]/g, "\\$&"),
+  };
 
-    // Clear container
-    container.innerHTML = "";
+  // Accounts the share dialog was opened for
+  let shareTargets = [];
+  // Image rendered for the dialog's settings: { key, options, promise }
+  let shareImageRender = null;
 
-    if (favoriteAccounts.length === 0) {
-      DOM.favorites.style.display = "none";
-      return;
-    }
+  /**
+   * Built-in templates with the ones from documents.json merged in
+   */
+  function getShareTemplates(settings) {
+    const custom = settings.share_templates || {};
+    const templates = { ...DEFAULT_SHARE_TEMPLATES, ...custom };
+    return Object.fromEntries(
+      Object.entries(templates).map(([key, template]) => [
+        key,
+        {
+          label: key,
+          header: "",
+          separator: "\n\n",
+          footer: "",
+          ...DEFAULT_SHARE_TEMPLATES[key],
+          ...template,
+        },
+      ])
+    );
+  }
 
-    DOM.favorites.style.display = "block";
+  /**
+   * Placeholder values for one account and the payment request
+   */
+  function getShareValues(account, request) {
+    const values = {};
+    Object.keys(ACCOUNT_SCHEMA).forEach((key) => {
+      values[key] = account[key] === undefined || account[key] === null ? "" : String(account[key]);
+    });
 
-    // Use document fragment
-    const fragment = document.createDocumentFragment();
+    return {
+      ...values,
+      account: account.acc_no ? formatAccountNumber(account) : "",
+      raast_id:
+        account.raast_id && !account.raastError ? formatMobileNumber(account.raast_id) : "",
+      ...getShareRequestValues([account], request),
+    };
+  }
 
-    favoriteAccounts.forEach((account) => {
-      const card = createAccountCard(account);
-      fragment.appendChild(card);
-    });
+  /**
+   * Values shared by every account: amount, reference, link and count
+   */
+  function getShareRequestValues(accounts, request) {
+    return {
+      amount: request.amount ? formatAmount(request.amount, accounts[0].currency) : "",
+      reference: request.reference,
+      link: buildPaymentRequestURL(accounts, request),
+      count: String(accounts.length),
+    };
+  }
 
-    container.appendChild(fragment);
+  /**
+   * Fill the placeholders in a template string, dropping lines whose
+   * placeholders are all empty (unknown names are left as typed)
+   */
+  function fillShareTemplate(text, values, escape = (value) => value) {
+    return String(text || "")
+      .split("\n")
+      .map((line) => {
+        let placeholders = 0;
+        let filled = 0;
+        const result = line.replace(/\{([\w|]+)\}/g, (match, names) => {
+          const keys = names.split("|");
+          if (!keys.some((key) => key in values)) return match;
+
+          placeholders++;
+          const value = keys.map((key) => values[key]).find((item) => item);
+          if (!value) return "";
+          filled++;
+          return escape(value);
+        });
+        return placeholders > 0 && filled === 0 ? null : result;
+      })
+      .filter((line) => line !== null)
+      .join("\n");
   }
 
-  // ============================================
-  // SEARCH & FILTER FUNCTIONS
-  // ============================================
+  /**
+   * Render a template for the accounts: { text, subject }
+   */
+  function renderShareTemplate(template, accounts, request) {
+    const escape = SHARE_ESCAPES[template.escape];
+    // Header and footer only see account fields when there's one account
+    const shared = getShareRequestValues(accounts, request);
+    const accountValues = getShareValues(accounts[0], request);
+    const values =
+      accounts.length === 1
+        ? accountValues
+        : Object.fromEntries(Object.keys(accountValues).map((key) => [key, shared[key] || ""]));
+    const items = accounts.map((account) =>
+      fillShareTemplate(template.item, getShareValues(account, request), escape)
+    );
+
+    const text = [
+      fillShareTemplate(template.header, values, escape),
+      items.join(template.separator),
+      fillShareTemplate(template.footer, values, escape),
+    ]
+      .filter(Boolean)
+      .join("\n")
+      // Dropped lines can leave runs of blank ones behind
+      .replace(/\n{3,}/g, "\n\n")
+      .trim();
+
+    return {
+      text,
+      subject: template.subject ? fillShareTemplate(template.subject, values).trim() : "",
+    };
+  }
 
   /**
-   * Apply all active filters
+   * Open the share dialog for one or more accounts
    */
-  function applyFilters() {
-    filteredAccounts = allAccounts.filter((account) => {
-      // Search filter
-      if (currentFilters.search) {
-        const searchTerm = currentFilters.search.toLowerCase();
-        const searchableFields = [
-          account.bank,
-          account.title,
-          account.acc_no,
-          account.iban,
-          account.purpose,
-          account.note,
-        ];
+  async function openShareModal(accounts) {
+    const modal = DOM.shareModal;
+    if (!modal || accounts.length === 0) return;
+
+    const settings = await loadDocumentSettings();
+    const templates = getShareTemplates(settings);
+    shareTargets = accounts;
+
+    DOM.shareScope.textContent =
+      accounts.length === 1
+        ? `${accounts[0].bank} - ${accounts[0].title}`
+        : `${accounts.length} accounts`;
+    DOM.shareTemplate.innerHTML = Object.entries(templates)
+      .map(([key, template]) => `<option value="${sanitize(key)}">${sanitize(template.label)}</option>`)
+      .join("");
+
+    const saved = readSetting(CONFIG.SHARE_TEMPLATE_KEY);
+    DOM.shareForm.reset();
+    DOM.shareImagePalette.value =
+      readSetting(CONFIG.SHARE_IMAGE_PALETTE_KEY) === "print" ? "print" : "theme";
+    DOM.shareTemplate.value = templates[saved] ? saved : Object.keys(templates)[0];
+    DOM.shareAllowAllField.hidden = !isOwnerMode;
+    renderSharePreview();
 
-        const matchesSearch = searchableFields.some(
-          (field) => field && field.toLowerCase().includes(searchTerm)
-        );
+    modal.setAttribute("aria-hidden", "false");
+    setupModalFocusTrap(modal);
+  }
 
-        if (!matchesSearch) return false;
-      }
+  /**
+   * Close the share dialog
+   */
+  function closeShareModal() {
+    const modal = DOM.shareModal;
+    if (modal) {
+      modal.setAttribute("aria-hidden", "true");
+    }
+    shareTargets = [];
+    shareImageRender = null;
+  }
 
-      // Currency filter
-      if (currentFilters.currency !== "all") {
-        if (account.currency !== currentFilters.currency) return false;
-      }
+  /**
+   * Amount and reference entered in the share dialog (an invalid amount is
+   * flagged and left out)
+   */
+  function getShareRequest() {
+    const request = {
+      amount: DOM.shareAmount.value.replace(/,/g, "").trim(),
+      reference: DOM.shareReference.value.trim(),
+      allowAll: DOM.shareAllowAll.checked,
+    };
+    const amountError = validatePaymentAmount(request.amount);
 
-      // Purpose filter
-      if (currentFilters.purpose !== "all") {
-        if (account.purpose !== currentFilters.purpose) return false;
-      }
+    if (amountError) DOM.shareAmount.setAttribute("aria-invalid", "true");
+    else DOM.shareAmount.removeAttribute("aria-invalid");
+    DOM.shareErrors.innerHTML = amountError ? `<li>${sanitize(amountError)}</li>` : "";
+    if (amountError) request.amount = "";
 
-      // Favorites filter
-      if (currentFilters.favoritesOnly) {
-        if (!isFavorite(account.id)) return false;
-      }
+    return request;
+  }
 
-      return true;
-    });
+  /**
+   * Render the chosen template into the (editable) preview
+   */
+  function renderSharePreview() {
+    if (shareTargets.length === 0 || !documentSettings) return;
+
+    const template = getShareTemplates(documentSettings)[DOM.shareTemplate.value];
+    const { text, subject } = renderShareTemplate(template, shareTargets, getShareRequest());
+    DOM.sharePreview.value = text;
+    DOM.shareForm.dataset.subject = subject;
+    updateShareLength();
+    prepareShareImage();
+  }
 
-    renderAccounts(filteredAccounts);
-    log("Filtered to", filteredAccounts.length, "accounts");
+  /**
+   * Start rendering the image for the dialog's current settings, reusing
+   * the render already made for the same ones
+   * Done ahead of the Share as Image tap: logos and toBlob can take long
+   * enough for the browser to stop allowing navigator.share
+   */
+  function prepareShareImage() {
+    const { amount, reference } = getShareRequest();
+    const options = {
+      request: { amount, reference },
+      palette: DOM.shareImagePalette.value,
+      includeQR: DOM.shareImageQR.checked,
+    };
+    const key = JSON.stringify([shareTargets.map((account) => account.id), options]);
+    if (!shareImageRender || shareImageRender.key !== key) {
+      shareImageRender = {
+        key,
+        options,
+        promise: createAccountImagePNG(shareTargets, options).catch((error) => {
+          log("Account image failed:", error);
+          return null;
+        }),
+      };
+    }
+    return shareImageRender;
+  }
+
+  /**
+   * Show the preview's length, warning when it's over the template's limit,
+   * and keep the email link in sync
+   */
+  function updateShareLength() {
+    const template = getShareTemplates(documentSettings)[DOM.shareTemplate.value];
+    const text = DOM.sharePreview.value;
+    const limit = Number(template.max_length) || 0;
+
+    DOM.shareLength.textContent =
+      limit && text.length > limit
+        ? `${text.length} characters - over the ${limit} character limit, it may be split into several messages`
+        : `${text.length} characters${limit ? ` (limit ${limit})` : ""}`;
+    DOM.shareLength.classList.toggle("is-over", Boolean(limit) && text.length > limit);
+
+    const subject = DOM.shareForm.dataset.subject;
+    DOM.shareEmailLink.hidden = !subject;
+    DOM.shareEmailLink.href = `mailto:?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(text)}`;
+  }
+
+  /**
+   * Share text with the Web Share API, copying it when that isn't available
+   */
+  async function shareText(text, title) {
+    const shareData = { title, text };
+
+    try {
+      if (navigator.share && navigator.canShare && navigator.canShare(shareData)) {
+        await navigator.share(shareData);
+        showToast("Shared successfully", "success");
+      } else {
+        await copyToClipboard(text, "Account details");
+      }
+    } catch (error) {
+      if (error.name !== "AbortError") {
+        log("Share failed:", error);
+        await copyToClipboard(text, "Account details");
+      }
+    }
   }
 
   /**
-   * Setup search functionality with debouncing
+   * Wire up the share dialog
    */
-  function setupSearch() {
-    const searchInput = DOM.search;
+  function setupShareForm() {
+    if (!DOM.shareForm) return;
 
-    if (!searchInput) return;
-
-    const debouncedSearch = debounce((value) => {
-      currentFilters.search = value;
-      applyFilters();
-    }, CONFIG.DEBOUNCE_DELAY);
+    DOM.shareTemplate.addEventListener("change", () => {
+      saveSetting(CONFIG.SHARE_TEMPLATE_KEY, DOM.shareTemplate.value);
+      renderSharePreview();
+    });
+    [DOM.shareAmount, DOM.shareReference].forEach((input) => {
+      input.addEventListener("input", debounce(renderSharePreview, CONFIG.DEBOUNCE_DELAY));
+    });
+    DOM.shareAllowAll.addEventListener("change", renderSharePreview);
+    DOM.sharePreview.addEventListener("input", updateShareLength);
 
-    searchInput.addEventListener("input", (e) => {
-      debouncedSearch(e.target.value);
+    [DOM.shareImagePalette, DOM.shareImageQR].forEach((input) => {
+      input.addEventListener("change", prepareShareImage);
+    });
+    DOM.shareImageBtn.addEventListener("click", async () => {
+      const accounts = shareTargets;
+      const { options, promise } = prepareShareImage();
+      saveSetting(CONFIG.SHARE_IMAGE_PALETTE_KEY, options.palette);
+      closeShareModal();
+      await shareAccountImage(accounts, promise);
+    });
+    DOM.shareCopyBtn.addEventListener("click", async () => {
+      await copyToClipboard(DOM.sharePreview.value, "Account details");
+      closeShareModal();
+    });
+    DOM.shareForm.addEventListener("submit", async (e) => {
+      e.preventDefault();
+      const text = DOM.sharePreview.value;
+      const title = DOM.shareForm.dataset.subject || DOM.shareScope.textContent;
+      closeShareModal();
+      await shareText(text, title);
     });
   }
 
+  // ============================================
+  // ACCOUNT EDITOR (Owner Mode)
+  // ============================================
+
   /**
-   * Setup filter chips
+   * Enable owner mode with ?owner (remembered on this device), disable with ?owner=0
    */
-  function setupFilters() {
-    // Currency filters
-    const currencyChips = document.querySelectorAll(
-      ".currency-filters .filter-chip"
-    );
-    currencyChips.forEach((chip) => {
-      chip.addEventListener("click", () => {
-        // Update active state
-        currencyChips.forEach((c) => c.setAttribute("aria-pressed", "false"));
-        chip.setAttribute("aria-pressed", "true");
-
-        // Apply filter
-        currentFilters.currency = chip.getAttribute("data-currency");
-        applyFilters();
-      });
-    });
+  function setupOwnerMode() {
+    const param = new URLSearchParams(window.location.search).get("owner");
 
-    // Purpose filter
-    const purposeSelect = DOM.purposeSelect;
-    if (purposeSelect) {
-      purposeSelect.addEventListener("change", (e) => {
-        currentFilters.purpose = e.target.value;
-        applyFilters();
-      });
+    try {
+      if (param === "0") {
+        localStorage.removeItem(CONFIG.OWNER_KEY);
+      } else if (param !== null) {
+        localStorage.setItem(CONFIG.OWNER_KEY, "1");
+      }
+      isOwnerMode = localStorage.getItem(CONFIG.OWNER_KEY) === "1";
+    } catch (error) {
+      log("Failed to read owner mode:", error);
+      isOwnerMode = param !== null && param !== "0";
     }
 
-    // Favorites toggle
-    const favoritesToggle = DOM.favoritesToggle;
-    if (favoritesToggle) {
-      favoritesToggle.addEventListener("click", () => {
-        currentFilters.favoritesOnly = !currentFilters.favoritesOnly;
-        favoritesToggle.setAttribute(
-          "aria-pressed",
-          currentFilters.favoritesOnly
-        );
-        applyFilters();
-      });
+    if (DOM.editAccountsBtn) {
+      DOM.editAccountsBtn.hidden = !isOwnerMode;
     }
   }
 
   /**
-   * Populate purpose dropdown with unique values
+   * Build the editor form fields from ACCOUNT_SCHEMA
    */
-  function populatePurposeOptions() {
-    const purposeSelect = DOM.purposeSelect;
-    if (!purposeSelect) return;
+  function renderEditorFields() {
+    const container = DOM.editorFields;
+    if (!container) return;
 
-    const purposes = [
-      ...new Set(allAccounts.map((acc) => acc.purpose).filter(Boolean)),
-    ];
+    container.innerHTML = Object.entries(ACCOUNT_SCHEMA)
+      .map(([field, rule]) => {
+        const id = `editor-field-${field}`;
+        const input = rule.multiline
+          ? `<textarea id="${id}" name="${field}" rows="2"></textarea>`
+          : `<input type="text" id="${id}" name="${field}" autocomplete="off"${
+              rule.required ? " required" : ""
+            } />`;
+
+        return `
+          <div class="form-field">
+            <label for="${id}">${sanitize(rule.label)}${
+          rule.required ? " *" : ""
+        }</label>
+            ${input}
+          </div>
+        `;
+      })
+      .join("");
+  }
 
-    // Clear existing options except "All Purposes"
-    while (purposeSelect.children.length > 1) {
-      purposeSelect.removeChild(purposeSelect.lastChild);
-    }
+  /**
+   * Open the account editor modal
+   */
+  function openEditor() {
+    if (!isOwnerMode || !DOM.editorModal) return;
 
-    purposes.forEach((purpose) => {
-      const option = document.createElement("option");
-      option.value = purpose;
-      option.textContent = purpose;
-      purposeSelect.appendChild(option);
-    });
+    renderEditorList();
+    closeEditorForm();
+    DOM.editorModal.setAttribute("aria-hidden", "false");
+    setupModalFocusTrap(DOM.editorModal);
   }
 
-  // ============================================
-  // CLIPBOARD FUNCTIONALITY
-  // ============================================
+  /**
+   * Close the account editor modal
+   */
+  function closeEditorModal() {
+    const modal = DOM.editorModal;
+    if (modal) {
+      modal.setAttribute("aria-hidden", "true");
+    }
+  }
 
   /**
-   * Copy text to clipboard with fallback
+   * Render the reorderable account list inside the editor
    */
-  async function copyToClipboard(text, label = "Text") {
-    if (!text) {
-      showToast(`No ${label.toLowerCase()} to copy`, "error");
+  function renderEditorList() {
+    const list = DOM.editorList;
+    if (!list) return;
+
+    if (allAccounts.length === 0) {
+      list.innerHTML = '<li class="editor-empty">No accounts yet</li>';
       return;
     }
 
-    try {
-      if (navigator.clipboard && window.isSecureContext) {
-        await navigator.clipboard.writeText(text);
-        showToast(`${label} copied to clipboard`, "success");
-      } else {
-        // Fallback for older browsers
-        const textarea = document.createElement("textarea");
-        textarea.value = text;
-        textarea.style.position = "fixed";
-        textarea.style.left = "-999999px";
-        textarea.style.top = "-999999px";
-        document.body.appendChild(textarea);
-        textarea.focus();
-        textarea.select();
+    list.innerHTML = allAccounts
+      .map(
+        (account, index) => `
+        <li class="editor-item" data-account-id="${sanitize(account.id)}">
+          <div class="editor-item-info">
+            <strong>${sanitize(account.bank)}</strong>
+            <span>${sanitize(account.title)}</span>
+            ${account.isLocal ? '<span class="tag tag-local">Local</span>' : ""}
+          </div>
+          <div class="editor-item-actions">
+            <button type="button" class="eye-btn" data-editor-action="up" aria-label="Move ${sanitize(
+              account.title
+            )} up"${index === 0 ? " disabled" : ""}>
+              <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <polyline points="18,15 12,9 6,15"></polyline>
+              </svg>
+            </button>
+            <button type="button" class="eye-btn" data-editor-action="down" aria-label="Move ${sanitize(
+              account.title
+            )} down"${index === allAccounts.length - 1 ? " disabled" : ""}>
+              <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <polyline points="6,9 12,15 18,9"></polyline>
+              </svg>
+            </button>
+            <button type="button" class="eye-btn" data-editor-action="edit" aria-label="Edit ${sanitize(
+              account.title
+            )}">
+              <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <path d="M12 20h9"></path>
+                <path d="M16.5 3.5a2.12 2.12 0 0 1 3 3L7 19l-4 1 1-4 12.5-12.5z"></path>
+              </svg>
+            </button>
+            <button type="button" class="eye-btn editor-delete" data-editor-action="delete" aria-label="Delete ${sanitize(
+              account.title
+            )}">
+              <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <polyline points="3,6 5,6 21,6"></polyline>
+                <path d="M19 6l-1 14a2 2 0 0 1-2 2H8a2 2 0 0 1-2-2L5 6"></path>
+                <path d="M10 11v6"></path>
+                <path d="M14 11v6"></path>
+              </svg>
+            </button>
+          </div>
+        </li>
+      `
+      )
+      .join("");
+  }
 
-        const successful = document.execCommand("copy");
-        textarea.remove();
+  /**
+   * Handle clicks on the editor list buttons (event delegation)
+   */
+  function handleEditorListClick(e) {
+    const button = e.target.closest("[data-editor-action]");
+    if (!button) return;
 
-        if (successful) {
-          showToast(`${label} copied to clipboard`, "success");
-        } else {
-          throw new Error("Fallback copy failed");
-        }
-      }
-    } catch (error) {
-      log("Copy failed:", error);
-      showToast(`Failed to copy ${label.toLowerCase()}`, "error");
+    const id = button.closest(".editor-item").getAttribute("data-account-id");
+    const account = allAccounts.find((acc) => acc.id === id);
+    if (!account) return;
+
+    switch (button.getAttribute("data-editor-action")) {
+      case "up":
+        moveAccount(id, -1);
+        break;
+      case "down":
+        moveAccount(id, 1);
+        break;
+      case "edit":
+        openEditorForm(account);
+        break;
+      case "delete":
+        deleteAccount(account);
+        break;
     }
   }
 
-  // ============================================
-  // QR CODE FUNCTIONALITY
-  // ============================================
-
   /**
-   * Show QR code modal for an account
+   * Show the add/edit form, pre-filled when editing an existing account
    */
-  function showQRModal(account) {
-    const modal = DOM.qrModal;
-    const display = DOM.qrDisplay;
-    const info = DOM.qrAccountInfo;
-
-    if (!modal || !display || !info) return;
+  function openEditorForm(account = null) {
+    const form = DOM.editorForm;
+    if (!form) return;
+
+    editingAccountId = account ? account.id : null;
+    form.reset();
+    DOM.editorErrors.innerHTML = "";
+
+    const raw = account ? toRawRecord(account) : {};
+    Object.entries(ACCOUNT_SCHEMA).forEach(([field, rule]) => {
+      const input = form.elements[field];
+      input.value = raw[rule.keys[0]] !== undefined ? raw[rule.keys[0]] : "";
+      input.removeAttribute("aria-invalid");
+    });
 
-    // Determine what to encode in QR
-    const qrData = account.iban || account.acc_no;
-    if (!qrData) {
-      showToast("No account number or IBAN available for QR code", "error");
-      return;
-    }
+    // Changing an id would orphan favorites and share links
+    form.elements.id.readOnly = Boolean(account);
 
-    // Update modal content
-    info.textContent = `${account.bank} - ${qrData}`;
+    DOM.editorFormTitle.textContent = account ? "Edit Account" : "Add Account";
+    DOM.editorListView.hidden = true;
+    form.hidden = false;
+    form.elements.bank.focus();
+  }
 
-    // Generate QR code
-    generateQRCode(qrData, display);
+  /**
+   * Hide the form and go back to the account list
+   */
+  function closeEditorForm() {
+    if (!DOM.editorForm) return;
 
-    // Show modal
-    modal.setAttribute("aria-hidden", "false");
-    setupModalFocusTrap(modal);
+    editingAccountId = null;
+    DOM.editorForm.hidden = true;
+    DOM.editorListView.hidden = false;
   }
 
   /**
-   * Generate QR code using online API
+   * Validate and save the editor form into the local edit layer
    */
-  function generateQRCode(data, container) {
-    container.innerHTML =
-      '<div style="display: flex; align-items: center; justify-content: center; height: 200px; color: var(--muted);">Generating QR code...</div>';
+  async function handleEditorSubmit(e) {
+    e.preventDefault();
+    const form = DOM.editorForm;
+
+    // Collect non-empty values as an accounts.json record
+    const raw = {};
+    Object.entries(ACCOUNT_SCHEMA).forEach(([field, rule]) => {
+      const value = form.elements[field].value.trim();
+      if (value) raw[rule.keys[0]] = value;
+    });
+    if (raw.iban) raw.iban = normalizeIBAN(raw.iban);
+    if (raw.currency) raw.currency = raw.currency.toUpperCase();
+    if (raw.swift) raw.swift = raw.swift.replace(/\s+/g, "").toUpperCase();
+
+    // Validate against the same schema used for accounts.json
+    const otherIds = new Set(
+      allAccounts
+        .filter((acc) => acc.id !== editingAccountId)
+        .map((acc) => acc.id)
+    );
+    const errors = validateAccountRecord(raw, otherIds);
+    const invalidFields = new Set(
+      Object.keys(ACCOUNT_SCHEMA).filter((field) =>
+        errors.some((err) => err.includes(`"${ACCOUNT_SCHEMA[field].keys[0]}"`))
+      )
+    );
 
-    if (isOffline) {
-      container.innerHTML =
-        '<div style="display: flex; align-items: center; justify-content: center; height: 200px; color: var(--muted);">QR code generation unavailable offline</div>';
-      return;
+    if (raw.iban) {
+      const ibanCheck = validateIBAN(raw.iban);
+      if (!ibanCheck.valid) {
+        errors.push(ibanCheck.error);
+        invalidFields.add("iban");
+      }
     }
 
-    const qrUrl = `${CONFIG.QR_API}?size=300x300&data=${encodeURIComponent(
-      data
-    )}`;
+    const swiftError = raw.swift ? validateSwift(raw.swift) : null;
+    if (swiftError) {
+      errors.push(swiftError);
+      invalidFields.add("swift");
+    }
 
-    const img = document.createElement("img");
-    img.alt = "QR Code";
-    img.style.maxWidth = "100%";
-    img.style.height = "auto";
+    const raastError = raw.raast_id ? validateRaastId(raw.raast_id) : null;
+    if (raastError) {
+      errors.push(raastError);
+      invalidFields.add("raast_id");
+    }
 
-    img.onload = () => {
-      container.innerHTML = "";
-      container.appendChild(img);
-    };
+    Object.keys(ACCOUNT_SCHEMA).forEach((field) => {
+      if (invalidFields.has(field)) {
+        form.elements[field].setAttribute("aria-invalid", "true");
+      } else {
+        form.elements[field].removeAttribute("aria-invalid");
+      }
+    });
 
-    img.onerror = () => {
-      container.innerHTML =
-        '<div style="display: flex; align-items: center; justify-content: center; height: 200px; color: var(--danger);">Failed to generate QR code</div>';
-    };
+    DOM.editorErrors.innerHTML = errors
+      .map((err) => `<li>${sanitize(err)}</li>`)
+      .join("");
+    if (errors.length > 0) return;
+
+    // Pin the id so later edits to bank/number don't change it
+    raw.id = raw.id || editingAccountId || getAccountFingerprint(raw);
 
-    img.src = qrUrl;
+    localEdits.records[raw.id] = raw;
+    localEdits.deleted = localEdits.deleted.filter((id) => id !== raw.id);
+
+    await commitLocalEdits(editingAccountId ? "Account updated" : "Account added");
+    closeEditorForm();
   }
 
   /**
-   * Close QR modal
+   * Move an account up or down in the list
    */
-  function closeQRModal() {
-    const modal = DOM.qrModal;
-    if (modal) {
-      modal.setAttribute("aria-hidden", "true");
+  async function moveAccount(id, delta) {
+    const order = allAccounts.map((acc) => acc.id);
+    const from = order.indexOf(id);
+    const to = from + delta;
+    if (from < 0 || to < 0 || to >= order.length) return;
+
+    order.splice(to, 0, order.splice(from, 1)[0]);
+    localEdits.order = order;
+
+    await commitLocalEdits();
+  }
+
+  /**
+   * Delete an account locally
+   */
+  async function deleteAccount(account) {
+    if (!window.confirm(`Delete ${account.bank} - ${account.title}?`)) return;
+
+    delete localEdits.records[account.id];
+    if (baseAccounts.some((acc) => acc.id === account.id)) {
+      localEdits.deleted.push(account.id);
+    }
+    if (localEdits.order) {
+      localEdits.order = localEdits.order.filter((id) => id !== account.id);
     }
+
+    await commitLocalEdits("Account deleted");
   }
 
   /**
-   * Close help modal
+   * Save the edit layer and refresh all views
    */
-  function closeHelpModal() {
-    const modal = DOM.helpModal;
-    if (modal) {
-      modal.setAttribute("aria-hidden", "true");
+  async function commitLocalEdits(message) {
+    try {
+      await saveLocalEdits();
+    } catch (error) {
+      log("Failed to save local edits:", error);
+      showToast("Failed to save changes on this device", "error");
+      return;
+    }
+
+    refreshAccounts();
+    renderEditorList();
+    if (message) {
+      showToast(message, "success");
     }
   }
 
+  // ============================================
+  // CSV IMPORT (Owner Mode)
+  // ============================================
+
+  // Extra header spellings seen in spreadsheets, mapped to schema fields
+  const CSV_HEADER_ALIASES = {
+    "bank name": "bank",
+    "account title": "title",
+    "account name": "title",
+    "beneficiary": "title",
+    "account no": "acc_no",
+    "account #": "acc_no",
+    "acc no": "acc_no",
+    "swift code": "swift",
+    "bic code": "swift",
+    "branch name": "branch_address",
+    "raast": "raast_id",
+  };
+
+  let importState = { headers: [], rows: [], mapping: [] };
+
   /**
-   * Setup focus trap inside modal
+   * Parse CSV text (RFC 4180) into an array of rows.
+   * Handles quoted fields, escaped quotes, newlines inside quotes, a UTF-8 BOM
+   * and comma, semicolon or tab delimiters (detected from the first line).
    */
-  function setupModalFocusTrap(modal) {
-    const focusableElements = modal.querySelectorAll(
-      'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
+  function parseCSV(text) {
+    const input = text.replace(/^\uFEFF/, "");
+    const firstLine = input.slice(0, input.search(/\r?\n|$/));
+    const delimiter = [",", ";", "\t"].reduce((best, candidate) =>
+      firstLine.split(candidate).length > firstLine.split(best).length
+        ? candidate
+        : best
     );
-    const firstElement = focusableElements[0];
-    const lastElement = focusableElements[focusableElements.length - 1];
 
-    // Focus first element
-    if (firstElement) {
-      firstElement.focus();
-    }
+    const rows = [];
+    let row = [];
+    let field = "";
+    let inQuotes = false;
 
-    // Trap focus within modal
-    const handleKeyDown = (e) => {
-      if (e.key === "Tab") {
-        if (e.shiftKey) {
-          if (document.activeElement === firstElement) {
-            e.preventDefault();
-            lastElement.focus();
-          }
+    for (let i = 0; i < input.length; i++) {
+      const char = input[i];
+
+      if (inQuotes) {
+        if (char === '"' && input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
         } else {
-          if (document.activeElement === lastElement) {
-            e.preventDefault();
-            firstElement.focus();
-          }
+          field += char;
         }
-      } else if (e.key === "Escape") {
-        closeQRModal();
-        closeHelpModal();
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === delimiter) {
+        row.push(field);
+        field = "";
+      } else if (char === "\n" || char === "\r") {
+        if (char === "\r" && input[i + 1] === "\n") i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = "";
+      } else {
+        field += char;
       }
-    };
+    }
 
-    modal.addEventListener("keydown", handleKeyDown);
+    if (field !== "" || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
 
-    // Remove listener when modal closes
-    const observer = new MutationObserver((mutations) => {
-      mutations.forEach((mutation) => {
-        if (
-          mutation.attributeName === "aria-hidden" &&
-          modal.getAttribute("aria-hidden") === "true"
-        ) {
-          modal.removeEventListener("keydown", handleKeyDown);
-          observer.disconnect();
+    // Drop blank lines
+    return rows.filter((r) => r.some((cell) => cell.trim() !== ""));
+  }
+
+  /**
+   * Guess which schema field a CSV header refers to
+   */
+  function guessFieldForHeader(header) {
+    const key = header.trim().toLowerCase().replace(/[_\s]+/g, " ");
+
+    if (CSV_HEADER_ALIASES[key]) return CSV_HEADER_ALIASES[key];
+
+    const match = Object.entries(ACCOUNT_SCHEMA).find(
+      ([field, rule]) =>
+        rule.keys.some((k) => k.toLowerCase().replace(/_/g, " ") === key) ||
+        rule.label.toLowerCase() === key ||
+        field === key
+    );
+    return match ? match[0] : "";
+  }
+
+  /**
+   * Undo spreadsheet mangling of long numbers.
+   * "4.587123900456712E+15" is expanded back to digits when no precision
+   * was lost; shorter mantissas (Excel keeps 15 digits) are reported.
+   * ="0321..." text formulas are unwrapped.
+   */
+  function fixSpreadsheetNumber(value) {
+    const formula = value.match(/^="?([^"]*)"?$/);
+    if (formula) return { value: formula[1], error: null };
+
+    const scientific = value.match(/^(\d)(?:[.,](\d+))?E\+?(\d+)$/i);
+    if (!scientific) return { value, error: null };
+
+    const digits = scientific[1] + (scientific[2] || "");
+    const exponent = Number(scientific[3]);
+
+    if (digits.length > exponent + 1) {
+      return { value, error: null };
+    }
+
+    if (digits.length < exponent + 1) {
+      return {
+        value,
+        error: `"${value}" was converted to scientific notation and lost digits. Format the column as Text in your spreadsheet and export again`,
+      };
+    }
+
+    return { value: digits, error: null };
+  }
+
+  /**
+   * Turn parsed rows into accounts.json records using the current mapping
+   * Returns [{ line, raw, errors }]
+   */
+  function buildImportRecords() {
+    const seenIds = new Set(allAccounts.map((acc) => acc.id));
+
+    return importState.rows.map((cells, rowIndex) => {
+      const raw = {};
+      const errors = [];
+
+      importState.mapping.forEach((field, column) => {
+        if (!field) return;
+
+        // Drop the ' that CSV exports put before a leading = + - @
+        let value = (cells[column] || "").trim().replace(/^'(?=[=+\-@])/, "");
+        if (["acc_no", "iban", "id", "raast_id"].includes(field)) {
+          const fixed = fixSpreadsheetNumber(value);
+          value = fixed.value;
+          if (fixed.error) errors.push(fixed.error);
         }
+
+        if (value) raw[ACCOUNT_SCHEMA[field].keys[0]] = value;
       });
-    });
 
-    observer.observe(modal, { attributes: true });
-  }
+      errors.push(...validateAccountRecord(raw, seenIds));
 
-  // ============================================
-  // PDF GENERATION
-  // ============================================
+      if (raw.iban) {
+        const ibanCheck = validateIBAN(raw.iban);
+        if (!ibanCheck.valid) errors.push(ibanCheck.error);
+      }
+      if (raw.swift) {
+        raw.swift = raw.swift.replace(/\s+/g, "").toUpperCase();
+        const swiftError = validateSwift(raw.swift);
+        if (swiftError) errors.push(swiftError);
+      }
+      if (raw.raast_id) {
+        const raastError = validateRaastId(raw.raast_id);
+        if (raastError) errors.push(raastError);
+      }
+
+      // Header is line 1
+      return { line: rowIndex + 2, raw, errors };
+    });
+  }
 
   /**
-   * Download individual account as PDF
+   * Open the CSV import modal
    */
-  async function downloadAccountPDF(account) {
-    try {
-      showToast("Generating PDF...", "success");
+  function openImportModal() {
+    if (!isOwnerMode || !DOM.importModal) return;
 
-      // Create a simple PDF content
-      const pdfContent = generatePDFContent([account]);
-      downloadPDF(pdfContent, `${account.bank}_${account.title}.pdf`);
-    } catch (error) {
-      log("PDF generation error:", error);
-      showToast("Failed to generate PDF", "error");
+    closeEditorModal();
+    resetImport();
+    DOM.importModal.setAttribute("aria-hidden", "false");
+    setupModalFocusTrap(DOM.importModal);
+  }
+
+  /**
+   * Close the CSV import modal
+   */
+  function closeImportModal() {
+    const modal = DOM.importModal;
+    if (modal) {
+      modal.setAttribute("aria-hidden", "true");
     }
   }
 
   /**
-   * Download all accounts as PDF
+   * Clear any previously loaded file
+   */
+  function resetImport() {
+    importState = { headers: [], rows: [], mapping: [] };
+    DOM.importFileInput.value = "";
+    DOM.importMapping.innerHTML = "";
+    DOM.importPreview.innerHTML = "";
+    DOM.importSummary.textContent = "";
+    DOM.importStep.hidden = true;
+    DOM.importConfirmBtn.disabled = true;
+  }
+
+  /**
+   * Read and parse a CSV file chosen by picker or drag-and-drop
    */
-  async function downloadAllAccountsPDF() {
+  async function handleImportFile(file) {
+    if (!file) return;
+
+    if (!/\.(csv|tsv|txt)$/i.test(file.name) && !/csv|text/.test(file.type)) {
+      showToast("Please choose a CSV file (save spreadsheets as CSV first)", "error");
+      return;
+    }
+
     try {
-      showToast("Generating PDF for all accounts...", "success");
+      const rows = parseCSV(await file.text());
+
+      if (rows.length < 2) {
+        showToast("The CSV needs a header row and at least one account", "error");
+        return;
+      }
 
-      const pdfContent = generatePDFContent(allAccounts);
-      downloadPDF(pdfContent, "All_Accounts.pdf");
+      importState.headers = rows[0].map((header) => header.trim());
+      importState.rows = rows.slice(1);
+      importState.mapping = importState.headers.map(guessFieldForHeader);
+
+      renderImportMapping();
+      renderImportPreview();
+      DOM.importStep.hidden = false;
+      log("Parsed CSV:", importState.rows.length, "rows");
     } catch (error) {
-      log("PDF generation error:", error);
-      showToast("Failed to generate PDF", "error");
+      log("CSV import error:", error);
+      showToast("Failed to read the CSV file", "error");
     }
   }
 
   /**
-   * Generate PDF content as HTML (for simple conversion)
-   */
-  function generatePDFContent(accounts) {
-    let html = `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <meta charset="utf-8">
-        <title>Account Details</title>
-        <style>
-          body { font-family: Arial, sans-serif; margin: 20px; }
-          .header { text-align: center; margin-bottom: 30px; }
-          .account { margin-bottom: 30px; border: 1px solid #ddd; padding: 15px; }
-          .bank-name { font-size: 18px; font-weight: bold; margin-bottom: 10px; }
-          .account-title { font-size: 14px; color: #666; margin-bottom: 15px; }
-          .detail { margin-bottom: 8px; }
-          .label { font-weight: bold; display: inline-block; width: 120px; }
-          .value { font-family: monospace; }
-          .tags { margin-top: 10px; }
-          .tag { background: #f0f0f0; padding: 3px 8px; margin-right: 5px; border-radius: 3px; font-size: 12px; }
-          @media print { body { margin: 0; } }
-        </style>
-      </head>
-      <body>
-        <div class="header">
-          <h1>Account Details</h1>
-          <p>Generated on ${new Date().toLocaleString()}</p>
+   * Render one field <select> per CSV column
+   */
+  function renderImportMapping() {
+    const options = [
+      '<option value="">Ignore column</option>',
+      ...Object.entries(ACCOUNT_SCHEMA).map(
+        ([field, rule]) =>
+          `<option value="${field}">${sanitize(rule.label)}</option>`
+      ),
+    ].join("");
+
+    DOM.importMapping.innerHTML = importState.headers
+      .map(
+        (header, column) => `
+        <div class="form-field">
+          <label for="import-map-${column}">${sanitize(header) || `Column ${column + 1}`}</label>
+          <select id="import-map-${column}" data-column="${column}">${options}</select>
         </div>
-    `;
+      `
+      )
+      .join("");
 
-    accounts.forEach((account) => {
-      html += `
-        <div class="account">
-          <div class="bank-name">${sanitize(account.bank)}</div>
-          <div class="account-title">${sanitize(account.title)}</div>
-          
-          ${
-            account.acc_no
-              ? `
-            <div class="detail">
-              <span class="label">Account No:</span>
-              <span class="value">${sanitize(account.acc_no)}</span>
-            </div>
-          `
-              : ""
-          }
-          
-          ${
-            account.iban
-              ? `
-            <div class="detail">
-              <span class="label">IBAN:</span>
-              <span class="value">${sanitize(account.iban)}</span>
-            </div>
-          `
-              : ""
-          }
-          
-          <div class="detail">
-            <span class="label">Currency:</span>
-            <span class="value">${sanitize(account.currency)}</span>
-          </div>
-          
-          ${
-            account.purpose
-              ? `
-            <div class="detail">
-              <span class="label">Purpose:</span>
-              <span class="value">${sanitize(account.purpose)}</span>
-            </div>
-          `
-              : ""
-          }
-          
-          ${
-            account.note
-              ? `
-            <div class="detail">
-              <span class="label">Note:</span>
-              <span class="value">${sanitize(account.note)}</span>
-            </div>
-          `
-              : ""
-          }
-        </div>
-      `;
+    importState.mapping.forEach((field, column) => {
+      DOM.importMapping.querySelector(`[data-column="${column}"]`).value = field;
     });
+  }
 
-    html += `
-      </body>
-      </html>
+  /**
+   * Render the preview table with per-row validation errors
+   */
+  function renderImportPreview() {
+    const records = buildImportRecords();
+    const fields = Object.keys(ACCOUNT_SCHEMA).filter((field) =>
+      importState.mapping.includes(field)
+    );
+    const validCount = records.filter((record) => record.errors.length === 0).length;
+
+    DOM.importPreview.innerHTML = `
+      <table class="import-table">
+        <thead>
+          <tr>
+            <th scope="col">Line</th>
+            ${fields.map((field) => `<th scope="col">${sanitize(ACCOUNT_SCHEMA[field].label)}</th>`).join("")}
+            <th scope="col">Status</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${records
+            .map(
+              ({ line, raw, errors }) => `
+            <tr class="${errors.length ? "import-row-invalid" : ""}">
+              <td>${line}</td>
+              ${fields
+                .map((field) => `<td>${sanitize(raw[ACCOUNT_SCHEMA[field].keys[0]] || "")}</td>`)
+                .join("")}
+              <td>${errors.length ? sanitize(errors.join("; ")) : "OK"}</td>
+            </tr>
+          `
+            )
+            .join("")}
+        </tbody>
+      </table>
     `;
 
-    return html;
+    DOM.importSummary.textContent = `${validCount} of ${records.length} rows ready to import${
+      validCount < records.length ? " (rows with errors will be skipped)" : ""
+    }`;
+    DOM.importConfirmBtn.disabled = validCount === 0;
+    DOM.importConfirmBtn.textContent = `Import ${validCount} account${validCount === 1 ? "" : "s"}`;
   }
 
   /**
-   * Download PDF using print functionality
+   * Add the valid rows to the local edit layer
    */
-  function downloadPDF(htmlContent, filename) {
-    // Create a new window with the content
-    const printWindow = window.open("", "_blank");
-    printWindow.document.write(htmlContent);
-    printWindow.document.close();
-
-    // Wait for content to load then print
-    printWindow.onload = () => {
-      printWindow.document.title = filename;
-      printWindow.print();
+  async function confirmImport() {
+    const valid = buildImportRecords().filter((record) => record.errors.length === 0);
+    if (valid.length === 0) return;
+
+    valid.forEach(({ raw }) => {
+      raw.id = raw.id || getAccountFingerprint(raw);
+      localEdits.records[raw.id] = raw;
+      localEdits.deleted = localEdits.deleted.filter((id) => id !== raw.id);
+    });
 
-      // Close the window after printing
-      setTimeout(() => {
-        printWindow.close();
-      }, 1000);
-    };
+    await commitLocalEdits(
+      `Imported ${valid.length} account${valid.length === 1 ? "" : "s"}`
+    );
+    closeImportModal();
   }
 
-  // ============================================
-  // SHARE FUNCTIONALITY
-  // ============================================
-
   /**
-   * Share account using Web Share API or fallback
+   * Wire up the file picker, drop zone and mapping selects
    */
-  async function shareAccount(account) {
-    const shareData = {
-      title: `${account.bank} - ${account.title}`,
-      text: `Bank: ${account.bank}\n${
-        account.acc_no ? `Account: ${account.acc_no}\n` : ""
-      }${account.iban ? `IBAN: ${account.iban}\n` : ""}`,
-      url: `${CONFIG.SHARE_BASE_URL}?share=${account.id}`,
-    };
+  function setupImport() {
+    if (!DOM.importModal) return;
 
-    try {
-      // Try Web Share API first (mobile)
-      if (
-        navigator.share &&
-        navigator.canShare &&
-        navigator.canShare(shareData)
-      ) {
-        await navigator.share(shareData);
-        showToast("Shared successfully", "success");
-      } else {
-        // Fallback: copy share URL to clipboard
-        await copyToClipboard(shareData.url, "Share link");
-      }
-    } catch (error) {
-      if (error.name !== "AbortError") {
-        log("Share failed:", error);
-        // Final fallback: copy account details
-        const fallbackText = `${account.bank} - ${account.title}\n${
-          account.acc_no ? `Account: ${account.acc_no}\n` : ""
-        }${account.iban ? `IBAN: ${account.iban}` : ""}`;
-        await copyToClipboard(fallbackText, "Account details");
-      }
-    }
+    DOM.importFileInput.addEventListener("change", (e) => {
+      handleImportFile(e.target.files[0]);
+    });
+
+    const dropzone = DOM.importDropzone;
+    ["dragenter", "dragover"].forEach((type) => {
+      dropzone.addEventListener(type, (e) => {
+        e.preventDefault();
+        dropzone.classList.add("is-dragover");
+      });
+    });
+    ["dragleave", "drop"].forEach((type) => {
+      dropzone.addEventListener(type, () => {
+        dropzone.classList.remove("is-dragover");
+      });
+    });
+    dropzone.addEventListener("drop", (e) => {
+      e.preventDefault();
+      handleImportFile(e.dataTransfer.files[0]);
+    });
+
+    DOM.importMapping.addEventListener("change", (e) => {
+      const column = Number(e.target.getAttribute("data-column"));
+      importState.mapping[column] = e.target.value;
+      renderImportPreview();
+    });
+
+    DOM.importConfirmBtn.addEventListener("click", confirmImport);
   }
 
   // ============================================
@@ -1500,35 +7245,363 @@ const App = (() => {
   // URL PARAMETER HANDLING
   // ============================================
 
+  // Query parameters that make up a share link (filters may sit alongside)
+  const SHARE_PARAMS = ["share", "all", "amount", "ref", "note"];
+
+  // Share parameters last read, so re-renders and filter changes don't
+  // parse them again
+  let handledShareKey = null;
+
+  /**
+   * The share parameters of a URL query as one comparable string
+   */
+  function getShareKey(urlParams) {
+    return SHARE_PARAMS.map((name) => urlParams.get(name) || "").join("\n");
+  }
+
   /**
    * Handle share URL parameter
    */
   function handleShareParameter() {
+    if (allAccounts.length === 0) return;
+
     const urlParams = new URLSearchParams(window.location.search);
-    const shareId = urlParams.get("share");
+    const shareKey = getShareKey(urlParams);
+    if (shareKey !== handledShareKey) {
+      handledShareKey = shareKey;
+
+      paymentRequest = readPaymentRequest(urlParams);
+      sharedLink = readSharedLink(urlParams);
+      if (sharedLink && getSharedAccounts().length === 0) {
+        showToast("The shared account is no longer available", "warning");
+        sharedLink = null;
+      }
+      if (sharedLink && isSelectMode) setSelectMode(false);
+    }
+
+    renderPaymentRequest();
+    renderPayerView();
+  }
+
+  // ============================================
+  // PAYER VIEW
+  // ============================================
+  // ?share=<id>[,<id>...] opens a focused view with only the shared
+  // accounts, numbers unmasked; &all=0 hides the way back to the full list.
+
+  // Link being viewed: { accountIds, allowAll } or null
+  let sharedLink = null;
+
+  /**
+   * Account ids from a share link, in link order
+   */
+  function getSharedAccountIds(urlParams) {
+    return (urlParams.get("share") || "")
+      .split(",")
+      .map((id) => id.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Read a share link from URL parameters; null without a share id
+   */
+  function readSharedLink(urlParams) {
+    const accountIds = getSharedAccountIds(urlParams);
+    if (accountIds.length === 0) return null;
+    return { accountIds, allowAll: urlParams.get("all") !== "0" };
+  }
+
+  /**
+   * Accounts named by the current share link that still exist
+   */
+  function getSharedAccounts(accountIds = sharedLink ? sharedLink.accountIds : []) {
+    return accountIds
+      .map((id) => allAccounts.find((account) => account.id === id))
+      .filter(Boolean);
+  }
+
+  /**
+   * Copyable rows shown to a payer, numbers in full
+   */
+  function getPayerRows(account) {
+    return [
+      {
+        field: "acc_no",
+        label: account.isWallet ? "Wallet number" : "Account number",
+        value: account.acc_no ? formatAccountNumber(account) : "",
+        copy:
+          account.isWallet && !account.walletError
+            ? toLocalMobile(account.acc_no)
+            : account.acc_no,
+      },
+      { field: "iban", label: "IBAN", value: account.iban, copy: account.iban },
+      {
+        field: "raast_id",
+        label: "Raast ID",
+        value: account.raastError
+          ? account.raast_id
+          : formatMobileNumber(account.raast_id),
+        copy: account.raast_id,
+      },
+      { field: "swift", label: "SWIFT/BIC", value: account.swift, copy: account.swift },
+      { field: "title", label: "Account title", value: account.title, copy: account.title },
+    ].filter((row) => row.value);
+  }
+
+  /**
+   * Build the payer card for one shared account
+   */
+  function createPayerCard(account) {
+    const article = document.createElement("article");
+    article.className = "payer-card";
+    article.setAttribute("data-account-id", account.id);
 
-    if (shareId) {
-      // Find and highlight the shared account
-      const accountCard = document.querySelector(
-        `[data-account-id="${shareId}"]`
+    const header = document.createElement("div");
+    header.className = "card-header";
+    header.appendChild(createBankLogo(account));
+    const bankInfo = document.createElement("div");
+    bankInfo.className = "bank-info";
+    bankInfo.innerHTML = `
+      <h3 class="bank-name">${sanitize(account.bank)}</h3>
+      <p class="account-title">${sanitize(account.title)}</p>
+    `;
+    header.appendChild(bankInfo);
+    article.appendChild(header);
+
+    const warnings = getPDFWarnings(account);
+    const details = document.createElement("div");
+    details.className = "payer-details";
+    details.innerHTML = `
+      ${warnings
+        .map((warning) => `<p class="payer-warning" role="alert">${sanitize(warning)}</p>`)
+        .join("")}
+      ${getPayerRows(account)
+        .map(
+          (row) => `
+        <div class="payer-row">
+          <span class="detail-label">${sanitize(row.label)}</span>
+          <span class="payer-value">${sanitize(row.value)}</span>
+          <button type="button" class="action-btn payer-copy-btn" data-payer-copy="${row.field}" aria-label="Copy ${sanitize(row.label.toLowerCase())}">
+            Copy
+          </button>
+        </div>`
+        )
+        .join("")}
+    `;
+    article.appendChild(details);
+
+    details.addEventListener("click", (e) => {
+      const button = e.target.closest("[data-payer-copy]");
+      if (!button) return;
+      const row = getPayerRows(account).find(
+        (item) => item.field === button.getAttribute("data-payer-copy")
       );
-      if (accountCard) {
-        // Add highlight class
-        accountCard.classList.add("shared-highlight");
+      if (row) copyToClipboard(row.copy, row.label);
+    });
 
-        // Scroll to the account
-        accountCard.scrollIntoView({ behavior: "smooth", block: "center" });
+    // QR with the request's amount and reference, when it can be paid
+    const request = paymentRequest || {};
+    if ((account.iban || account.acc_no) && !validatePaymentAmount(request.amount || "")) {
+      const isRaast = getQRMode(account) === "raast";
+      const qrArea = document.createElement("figure");
+      qrArea.className = "payer-qr";
+      const display = document.createElement("div");
+      display.className = "payer-qr-code";
+      qrArea.appendChild(display);
+      generateQRCode(buildPaymentQRData(account, request), display);
+      const caption = document.createElement("figcaption");
+      caption.className = "qr-info";
+      caption.textContent = isRaast ? RAAST_QR_CAPTION : "Scan to copy the account details";
+      qrArea.appendChild(caption);
+      article.appendChild(qrArea);
+    }
 
-        // Remove highlight after animation
-        setTimeout(() => {
-          accountCard.classList.remove("shared-highlight");
-        }, 3000);
+    return article;
+  }
 
-        // Clean up URL
-        const newUrl = window.location.pathname + window.location.hash;
-        window.history.replaceState({}, document.title, newUrl);
-      }
+  /**
+   * Show the shared accounts on their own, or return to the full list
+   */
+  function renderPayerView() {
+    const accounts = getSharedAccounts();
+    const isPayerMode = accounts.length > 0;
+    document.body.classList.toggle("payer-mode", isPayerMode);
+    if (!DOM.payerView) return;
+
+    DOM.payerView.hidden = !isPayerMode;
+    DOM.payerAccounts.innerHTML = "";
+    if (!isPayerMode) return;
+
+    DOM.payerTitle.textContent =
+      accounts.length === 1 ? "Payment details" : `Pay into any of these ${accounts.length} accounts`;
+    accounts.forEach((account) => {
+      DOM.payerAccounts.appendChild(createPayerCard(account));
+    });
+    DOM.payerViewAll.hidden = !sharedLink.allowAll;
+  }
+
+  /**
+   * Leave the payer view for the full list (Back returns to the link)
+   */
+  function leavePayerView() {
+    const urlParams = new URLSearchParams(window.location.search);
+    SHARE_PARAMS.forEach((name) => urlParams.delete(name));
+    const query = urlParams.toString();
+    window.history.pushState(
+      {},
+      document.title,
+      window.location.pathname + (query ? `?${query}` : "") + window.location.hash
+    );
+    // Keep the payment request banner on the full list
+    handledShareKey = getShareKey(urlParams);
+    sharedLink = null;
+    renderPayerView();
+    window.scrollTo(0, 0);
+  }
+
+  /**
+   * Wire up the payer view's escape hatch
+   */
+  function setupPayerView() {
+    if (DOM.payerViewAll) {
+      DOM.payerViewAll.addEventListener("click", leavePayerView);
+    }
+  }
+
+  // ============================================
+  // PAYMENT REQUESTS
+  // ============================================
+  // ?share=<id>&amount=15000&ref=INV-204&note=... asks the payer for a
+  // specific amount; the banner and QR carry the same details.
+
+  // Request from the URL: { accountIds, amount, reference, note } or null
+  let paymentRequest = null;
+
+  /**
+   * Read a payment request from URL parameters
+   * Returns null without a share id, or when the link has no amount,
+   * reference or note
+   */
+  function readPaymentRequest(urlParams) {
+    const accountIds = getSharedAccountIds(urlParams);
+    if (accountIds.length === 0) return null;
+
+    let amount = (urlParams.get("amount") || "").replace(/,/g, "").trim();
+    const reference = (urlParams.get("ref") || "").trim();
+    const note = (urlParams.get("note") || "").trim();
+
+    const amountError = validatePaymentAmount(amount);
+    if (amountError) {
+      log("Ignoring payment request amount:", amount, amountError);
+      amount = "";
+    }
+
+    if (!amount && !reference && !note) return null;
+    return { accountIds, amount, reference, note };
+  }
+
+  /**
+   * Share link for one account or several (?share=1,4), with the payment
+   * request details when given; allowAll: false hides "View all accounts"
+   */
+  function buildPaymentRequestURL(
+    accounts,
+    { amount = "", reference = "", note = "", allowAll = true } = {}
+  ) {
+    const ids = [].concat(accounts).map((account) => encodeURIComponent(account.id));
+    const params = new URLSearchParams();
+    if (amount) params.set("amount", amount);
+    if (reference) params.set("ref", reference);
+    if (note) params.set("note", note);
+    if (!allowAll) params.set("all", "0");
+    const query = params.toString();
+    return `${CONFIG.SHARE_BASE_URL}?share=${ids.join(",")}${query ? `&${query}` : ""}`;
+  }
+
+  /**
+   * Show or hide the payment request banner
+   */
+  function renderPaymentRequest() {
+    const banner = DOM.paymentRequest;
+    if (!banner) return;
+
+    const accounts = paymentRequest ? getSharedAccounts(paymentRequest.accountIds) : [];
+    if (accounts.length === 0) {
+      banner.hidden = true;
+      return;
     }
+    const account = accounts[0];
+
+    const { amount, reference, note } = paymentRequest;
+    const copyIcon = `
+      <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <rect x="9" y="9" width="13" height="13" rx="2" ry="2"></rect>
+        <path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"></path>
+      </svg>`;
+
+    DOM.paymentRequestBody.innerHTML = `
+      <p class="payment-request-payee">
+        ${
+          accounts.length === 1
+            ? `To <strong>${sanitize(account.title)}</strong> at ${sanitize(account.bank)}`
+            : `To any of the <strong>${accounts.length}</strong> shared accounts`
+        }
+      </p>
+      ${
+        amount
+          ? `<div class="detail-row">
+          <span class="detail-label">Amount:</span>
+          <div class="detail-value-wrapper">
+            <span class="detail-value payment-request-amount">${sanitize(
+              formatAmount(amount, account.currency)
+            )}</span>
+            <button type="button" class="copy-btn" data-request-copy="amount" aria-label="Copy amount">${copyIcon}</button>
+          </div>
+        </div>`
+          : ""
+      }
+      ${
+        reference
+          ? `<div class="detail-row">
+          <span class="detail-label">Reference:</span>
+          <div class="detail-value-wrapper">
+            <span class="detail-value">${sanitize(reference)}</span>
+            <button type="button" class="copy-btn" data-request-copy="reference" aria-label="Copy reference">${copyIcon}</button>
+          </div>
+        </div>
+        <p class="payment-request-hint">Put the reference in the transfer remarks so the payment can be matched.</p>`
+          : ""
+      }
+      ${note ? `<p class="account-note">${sanitize(note)}</p>` : ""}
+    `;
+
+    banner.hidden = false;
+  }
+
+  /**
+   * Wire up the payment request banner's copy, QR and dismiss buttons
+   */
+  function setupPaymentRequest() {
+    const banner = DOM.paymentRequest;
+    if (!banner) return;
+
+    banner.addEventListener("click", (e) => {
+      if (!paymentRequest) return;
+      const accounts = getSharedAccounts(paymentRequest.accountIds);
+
+      const copyButton = e.target.closest("[data-request-copy]");
+      if (copyButton) {
+        const field = copyButton.getAttribute("data-request-copy");
+        copyToClipboard(
+          paymentRequest[field],
+          field === "amount" ? "Amount" : "Reference"
+        );
+      } else if (e.target.closest("[data-request-qr]") && accounts.length) {
+        showQRQueue(accounts, paymentRequest);
+      } else if (e.target.closest("[data-request-dismiss]")) {
+        banner.hidden = true;
+      }
+    });
   }
 
   // ============================================
@@ -1554,26 +7627,100 @@ const App = (() => {
 
     // Download all button
     if (DOM.downloadAllBtn) {
-      DOM.downloadAllBtn.addEventListener("click", downloadAllAccountsPDF);
+      DOM.downloadAllBtn.addEventListener("click", () => openPDFScopeModal());
+    }
+
+    // Account editor (owner mode)
+    if (DOM.editAccountsBtn) {
+      DOM.editAccountsBtn.addEventListener("click", openEditor);
+    }
+    if (DOM.editorList) {
+      DOM.editorList.addEventListener("click", handleEditorListClick);
+    }
+    if (DOM.editorForm) {
+      DOM.editorForm.addEventListener("submit", handleEditorSubmit);
+    }
+    if (DOM.editorAddBtn) {
+      DOM.editorAddBtn.addEventListener("click", () => openEditorForm());
+    }
+    if (DOM.editorCancelBtn) {
+      DOM.editorCancelBtn.addEventListener("click", closeEditorForm);
+    }
+    if (DOM.editorImportBtn) {
+      DOM.editorImportBtn.addEventListener("click", openImportModal);
+    }
+    if (DOM.editorEncryptBtn) {
+      DOM.editorEncryptBtn.addEventListener("click", openVaultModal);
+    }
+    if (DOM.vaultForm) {
+      DOM.vaultForm.addEventListener("submit", handleVaultSubmit);
+    }
+    setupImport();
+    document.querySelectorAll("[data-export-accounts]").forEach((button) => {
+      button.addEventListener("click", exportMergedAccounts);
+    });
+    document.querySelectorAll("[data-discard-edits]").forEach((button) => {
+      button.addEventListener("click", discardLocalEdits);
+    });
+
+    // File exports (honor the active filters)
+    if (DOM.exportBtn) {
+      DOM.exportBtn.addEventListener("click", exportFilteredAccounts);
+    }
+    if (DOM.exportModal) {
+      DOM.exportModal.querySelectorAll("[data-export-format]").forEach((button) => {
+        button.addEventListener("click", () => {
+          handleExportFormat(button.getAttribute("data-export-format"));
+        });
+      });
+    }
+
+    // Data error panel dismiss
+    if (DOM.dataErrorsDismiss) {
+      DOM.dataErrorsDismiss.addEventListener("click", () => {
+        DOM.dataErrors.hidden = true;
+      });
     }
 
-    // Modal close handlers
+    // Modal close handlers (and wallet number menus on outside clicks)
     document.addEventListener("click", (e) => {
+      if (!e.target.closest(".wallet-number-btn, .wallet-menu")) {
+        closeWalletMenus();
+      }
+
       if (
         e.target.matches("[data-close-modal]") ||
         e.target.closest("[data-close-modal]")
       ) {
-        closeQRModal();
-        closeHelpModal();
+        closeAllModals();
       }
     });
 
     // Keyboard shortcuts
     document.addEventListener("keydown", (e) => {
-      // Escape key closes modals
+      // Escape key closes modals, then leaves selection mode
       if (e.key === "Escape") {
-        closeQRModal();
-        closeHelpModal();
+        closeWalletMenus();
+        if (
+          isSelectMode &&
+          !e.target.closest(".modal") &&
+          !document.querySelector('.modal[aria-hidden="false"]')
+        ) {
+          setSelectMode(false);
+        }
+        closeAllModals();
+      }
+
+      // Ctrl/Cmd + A selects every visible account in selection mode
+      if (
+        isSelectMode &&
+        (e.ctrlKey || e.metaKey) &&
+        e.key === "a" &&
+        !e.target.closest("input:not([type=checkbox]), textarea, select, .modal")
+      ) {
+        e.preventDefault();
+        filteredAccounts.forEach((account) => selectedAccountIds.add(account.id));
+        updateSelectionUI();
       }
 
       // Ctrl/Cmd + D for dark mode toggle
@@ -1582,8 +7729,8 @@ const App = (() => {
         toggleTheme();
       }
 
-      // Ctrl/Cmd + F for search focus
-      if ((e.ctrlKey || e.metaKey) && e.key === "f") {
+      // Ctrl/Cmd + F for search focus (the payer view has no search)
+      if ((e.ctrlKey || e.metaKey) && e.key === "f" && !sharedLink) {
         e.preventDefault();
         if (DOM.search) {
           DOM.search.focus();
@@ -1591,8 +7738,8 @@ const App = (() => {
       }
     });
 
-    // Handle browser back/forward for share URLs
-    window.addEventListener("popstate", handleShareParameter);
+    // Handle browser back/forward for share and filter URLs
+    window.addEventListener("popstate", handlePopState);
   }
 
   // ============================================
@@ -1608,15 +7755,113 @@ const App = (() => {
     DOM.favorites = document.getElementById("favorites");
     DOM.favoritesContainer = document.querySelector(".favorites-container");
     DOM.purposeSelect = document.getElementById("purpose-select");
+    DOM.currencyFilters = document.querySelector(".currency-filters");
     DOM.favoritesToggle = document.getElementById("favorites-toggle");
     DOM.qrModal = document.getElementById("qr-modal");
     DOM.qrDisplay = document.getElementById("qr-display");
+    DOM.qrForm = document.getElementById("qr-form");
+    DOM.qrModeButtons = document.querySelectorAll("[data-qr-mode]");
+    DOM.qrAmount = document.getElementById("qr-amount");
+    DOM.qrReference = document.getElementById("qr-reference");
+    DOM.qrErrors = document.getElementById("qr-errors");
+    DOM.qrNote = document.getElementById("qr-note");
+    DOM.qrExportButtons = document.querySelectorAll("[data-qr-export]");
+    DOM.qrQueueNav = document.getElementById("qr-queue-nav");
+    DOM.qrQueuePosition = document.getElementById("qr-queue-position");
+    DOM.documentModal = document.getElementById("document-modal");
+    DOM.documentForm = document.getElementById("document-form");
+    DOM.documentScope = document.getElementById("document-scope");
+    DOM.documentTemplate = document.getElementById("document-template");
+    DOM.documentErrors = document.getElementById("document-errors");
+    DOM.invoiceFields = document.getElementById("invoice-fields");
+    DOM.invoiceBillTo = document.getElementById("invoice-bill-to");
+    DOM.invoiceNumber = document.getElementById("invoice-number");
+    DOM.invoiceIssueDate = document.getElementById("invoice-issue-date");
+    DOM.invoiceDueDate = document.getElementById("invoice-due-date");
+    DOM.invoiceItems = document.getElementById("invoice-items");
+    DOM.invoiceAddItem = document.getElementById("invoice-add-item");
+    DOM.invoiceTotal = document.getElementById("invoice-total");
+    DOM.pdfScopeModal = document.getElementById("pdf-scope-modal");
+    DOM.pdfScopeForm = document.getElementById("pdf-scope-form");
+    DOM.pdfScopePicker = document.getElementById("pdf-scope-picker");
+    DOM.pdfScopeSummary = document.getElementById("pdf-scope-summary");
+    DOM.pdfScopeSubmit = document.getElementById("pdf-scope-submit");
+    DOM.qrCopyLinkBtn = document.getElementById("qr-copy-link-btn");
+    DOM.paymentRequest = document.getElementById("payment-request");
+    DOM.paymentRequestBody = document.getElementById("payment-request-body");
+    DOM.payerView = document.getElementById("payer-view");
+    DOM.payerTitle = document.getElementById("payer-view-title");
+    DOM.payerAccounts = document.getElementById("payer-accounts");
+    DOM.payerViewAll = document.getElementById("payer-view-all");
     DOM.qrAccountInfo = document.getElementById("qr-account-info");
     DOM.helpModal = document.getElementById("help-modal");
     DOM.helpBtn = document.getElementById("help-btn");
     DOM.darkModeToggle = document.getElementById("dark-mode-toggle");
     DOM.downloadAllBtn = document.getElementById("download-all-btn");
+    DOM.exportBtn = document.getElementById("export-btn");
+    DOM.selectModeBtn = document.getElementById("select-mode-btn");
+    DOM.selectionBar = document.getElementById("selection-bar");
+    DOM.selectionCount = document.getElementById("selection-count");
+    DOM.shareModal = document.getElementById("share-modal");
+    DOM.shareForm = document.getElementById("share-form");
+    DOM.shareScope = document.getElementById("share-scope");
+    DOM.shareTemplate = document.getElementById("share-template");
+    DOM.shareAmount = document.getElementById("share-amount");
+    DOM.shareReference = document.getElementById("share-reference");
+    DOM.shareErrors = document.getElementById("share-errors");
+    DOM.sharePreview = document.getElementById("share-preview");
+    DOM.shareLength = document.getElementById("share-length");
+    DOM.shareCopyBtn = document.getElementById("share-copy-btn");
+    DOM.shareEmailLink = document.getElementById("share-email-link");
+    DOM.shareImageBtn = document.getElementById("share-image-btn");
+    DOM.shareImagePalette = document.getElementById("share-image-palette");
+    DOM.shareImageQR = document.getElementById("share-image-qr");
+    DOM.shareAllowAll = document.getElementById("share-allow-all");
+    DOM.shareAllowAllField = document.getElementById("share-allow-all-field");
+    DOM.exportModal = document.getElementById("export-modal");
+    DOM.exportScope = document.getElementById("export-scope");
+    DOM.exportVCardBtn = document.getElementById("export-vcard-btn");
     DOM.toastContainer = document.getElementById("toast-container");
+    DOM.dataErrors = document.getElementById("data-errors");
+    DOM.dataErrorsSummary = document.getElementById("data-errors-summary");
+    DOM.dataErrorsList = document.getElementById("data-errors-list");
+    DOM.dataErrorsDismiss = document.getElementById("data-errors-dismiss");
+    DOM.localChanges = document.getElementById("local-changes");
+    DOM.editAccountsBtn = document.getElementById("edit-accounts-btn");
+    DOM.editorModal = document.getElementById("editor-modal");
+    DOM.editorListView = document.getElementById("editor-list-view");
+    DOM.editorList = document.getElementById("editor-list");
+    DOM.editorAddBtn = document.getElementById("editor-add-btn");
+    DOM.editorForm = document.getElementById("editor-form");
+    DOM.editorFormTitle = document.getElementById("editor-form-title");
+    DOM.editorFields = document.getElementById("editor-fields");
+    DOM.editorErrors = document.getElementById("editor-errors");
+    DOM.editorCancelBtn = document.getElementById("editor-cancel-btn");
+    DOM.editorImportBtn = document.getElementById("editor-import-btn");
+    DOM.importModal = document.getElementById("import-modal");
+    DOM.importDropzone = document.getElementById("import-dropzone");
+    DOM.importFileInput = document.getElementById("import-file");
+    DOM.importStep = document.getElementById("import-step");
+    DOM.importMapping = document.getElementById("import-mapping");
+    DOM.importPreview = document.getElementById("import-preview");
+    DOM.importSummary = document.getElementById("import-summary");
+    DOM.importConfirmBtn = document.getElementById("import-confirm-btn");
+    DOM.cacheStatus = document.getElementById("cache-status");
+    DOM.lastUpdatedDate = document.getElementById("last-updated-date");
+    DOM.refreshDataBtn = document.getElementById("refresh-data-btn");
+    DOM.passphraseModal = document.getElementById("passphrase-modal");
+    DOM.passphraseForm = document.getElementById("passphrase-form");
+    DOM.passphraseInput = document.getElementById("passphrase-input");
+    DOM.passphraseError = document.getElementById("passphrase-error");
+    DOM.passphraseSubmitBtn = document.getElementById("passphrase-submit-btn");
+    DOM.passphraseCancelBtn = document.getElementById("passphrase-cancel-btn");
+    DOM.vaultModal = document.getElementById("vault-modal");
+    DOM.vaultForm = document.getElementById("vault-form");
+    DOM.vaultFile = document.getElementById("vault-file");
+    DOM.vaultPassphrase = document.getElementById("vault-passphrase");
+    DOM.vaultPassphraseConfirm = document.getElementById("vault-passphrase-confirm");
+    DOM.vaultErrors = document.getElementById("vault-errors");
+    DOM.editorEncryptBtn = document.getElementById("editor-encrypt-btn");
   }
 
   /**
@@ -1641,21 +7886,42 @@ const App = (() => {
       // Load favorites
       loadFavorites();
 
-      // Load account data
+      // Owner mode and local edits (must be loaded before the data is merged)
+      setupOwnerMode();
+      renderEditorFields();
+      await loadLocalEdits();
+
+      // Load account data (may ask for the vault passphrase)
+      setupPassphrasePrompt();
       await loadData();
+      remapFavoriteIds(allAccounts);
+      updateLocalChangesIndicator();
 
-      // Populate dynamic content
+      // Populate dynamic content (filters restored from the URL first so
+      // the chips and dropdown can drop values the data doesn't have)
+      readFiltersFromURL();
+      populateCurrencyChips();
       populatePurposeOptions();
+      updateFilterControls();
 
       // Render initial content
-      filteredAccounts = [...allAccounts];
-      renderAccounts();
+      applyFilters();
       renderFavoritesStrip();
 
       // Setup interactions
       setupSearch();
       setupFilters();
+      setupQRForm();
+      setupQRExport();
+      setupDocumentForm();
+      setupPDFScopeForm();
+      setupSelectionMode();
+      setupShareForm();
+      setupPaymentRequest();
+      setupPayerView();
       setupEventListeners();
+      registerServiceWorker();
+      setupDataRefresh();
 
       // Update footer year
       const yearElement = document.getElementById("current-year");
@@ -1663,12 +7929,6 @@ const App = (() => {
         yearElement.textContent = new Date().getFullYear();
       }
 
-      // Update last updated date
-      const lastUpdatedElement = document.getElementById("last-updated-date");
-      if (lastUpdatedElement) {
-        lastUpdatedElement.textContent = new Date().toLocaleDateString();
-      }
-
       log("App initialized successfully");
     } catch (error) {
       log("Initialization error:", error);
@@ -1693,6 +7953,10 @@ const App = (() => {
     },
     getAccounts: () => [...allAccounts],
     getFilteredAccounts: () => [...filteredAccounts],
+    getValidationReport: () => ({ ...validationReport }),
+    hasLocalEdits,
+    exportAccounts: exportMergedAccounts,
+    lockVault,
     toggleTheme,
     getCurrentTheme: () => currentTheme,
     isOffline: () => isOffline,
@@ -0,0 +1,188 @@
+/**
+ * sw.js - Service worker for Account Details Web App
+ *
+ * Makes the app usable offline:
+ * - Precaches the app shell, bank logos and accounts.json on install
+ * - Serves the app shell network-first, falling back to the cache offline
+ * - Serves accounts.json stale-while-revalidate and tells open pages when
+ *   the revalidated copy differs from what they were shown; update checks
+ *   from the page (no-cache or conditional requests) go straight to the
+ *   network
+ *
+ * Cached copies of accounts.json carry an X-Cached-At header (ms timestamp)
+ * so the page can say how old the data it shows is.
+ *
+ * Bump CACHE_VERSION when files are added to or removed from PRECACHE_URLS.
+ */
+
+const CACHE_VERSION = "v2";
+const CACHE_NAME = `account-details-${CACHE_VERSION}`;
+const CACHED_AT_HEADER = "X-Cached-At";
+const DATA_FILE = "accounts.json";
+
+const PRECACHE_URLS = [
+  "./",
+  "./index.html",
+  "./style.css",
+  "./app.js",
+  "./manifest.webmanifest",
+  `./${DATA_FILE}`,
+  "./documents.json",
+  "./assets/Faysal_Bank.svg",
+  "./assets/allied_bank.svg",
+  "./assets/hbl.svg",
+  "./assets/jazzcash.svg",
+  "./assets/mcb.svg",
+  "./assets/meezan_bank.svg",
+  "./assets/icon-192.png",
+  "./assets/icon-512.png",
+];
+
+// ============================================
+// CACHE HELPERS
+// ============================================
+
+/**
+ * Copy a response with the time it was cached added as a header
+ */
+async function stampResponse(response) {
+  const headers = new Headers(response.headers);
+  headers.set(CACHED_AT_HEADER, String(Date.now()));
+  return new Response(await response.blob(), {
+    status: response.status,
+    statusText: response.statusText,
+    headers,
+  });
+}
+
+/**
+ * Fetch from the network and store a stamped copy when successful
+ * (init must stay empty for navigation requests)
+ */
+async function fetchAndCache(request, init) {
+  const response = await fetch(request, init);
+  if (response.ok) {
+    const cache = await caches.open(CACHE_NAME);
+    await cache.put(request, await stampResponse(response.clone()));
+  }
+  return response;
+}
+
+/**
+ * Post a message to every page controlled by this worker
+ */
+async function notifyClients(message) {
+  const clients = await self.clients.matchAll({ type: "window" });
+  clients.forEach((client) => client.postMessage(message));
+}
+
+// ============================================
+// STRATEGIES
+// ============================================
+
+/**
+ * Network first, cached copy when offline (app shell and logos)
+ */
+async function networkFirst(request) {
+  try {
+    return await fetchAndCache(request);
+  } catch (error) {
+    const cached = await caches.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+
+    // Navigations with query strings (?share=, ?owner) fall back to the shell
+    if (request.mode === "navigate") {
+      const shell = await caches.match("./index.html");
+      if (shell) return shell;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Stale-while-revalidate for accounts.json
+ * Answers from the cache immediately, then refreshes the cache and reports
+ * whether the data changed
+ */
+async function staleWhileRevalidate(event) {
+  const request = event.request;
+  const cached = await caches.match(request, { ignoreSearch: true });
+  const cachedText = cached ? await cached.clone().text() : null;
+
+  const revalidate = fetchAndCache(request, { cache: "no-cache" }).then(
+    async (response) => {
+      if (cached && response.ok) {
+        const text = await response.clone().text();
+        await notifyClients({
+          type: "data-revalidated",
+          changed: text !== cachedText,
+        });
+      }
+      return response;
+    }
+  );
+
+  if (cached) {
+    event.waitUntil(revalidate.catch(() => {}));
+    return cached;
+  }
+  return revalidate;
+}
+
+// ============================================
+// LIFECYCLE
+// ============================================
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME).then((cache) =>
+      Promise.all(
+        PRECACHE_URLS.map(async (url) => {
+          const response = await fetch(url, { cache: "reload" });
+          if (!response.ok) {
+            throw new Error(`Precache failed for ${url}: HTTP ${response.status}`);
+          }
+          await cache.put(url, await stampResponse(response));
+        })
+      )
+    )
+  );
+  self.skipWaiting();
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key.startsWith("account-details-") && key !== CACHE_NAME)
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const request = event.request;
+  const url = new URL(request.url);
+
+  // Leave third-party and non-GET requests alone
+  if (request.method !== "GET" || url.origin !== self.location.origin) return;
+
+  if (url.pathname.endsWith(`/${DATA_FILE}`)) {
+    // Update checks from the page must reach the server: they ask for
+    // no-cache, and send validators when the page has them
+    const isUpdateCheck =
+      request.cache === "no-cache" ||
+      request.headers.has("If-None-Match") ||
+      request.headers.has("If-Modified-Since");
+    event.respondWith(
+      isUpdateCheck ? fetchAndCache(request) : staleWhileRevalidate(event)
+    );
+  } else {
+    event.respondWith(networkFirst(request));
+  }
+});